@@ -0,0 +1,245 @@
+import { after, before, test } from "node:test";
+import assert from "node:assert/strict";
+import { spawnSync } from "child_process";
+import { mkdtempSync, rmSync, writeFileSync } from "fs";
+import { tmpdir } from "os";
+import { join } from "path";
+import { startMockCalDAV } from "./mock-caldav-server.js";
+import { SERVER_PATH, eventICS, startServer } from "./helpers.js";
+
+let personal;
+let work;
+let dir;
+let server;
+
+before(async () => {
+  personal = await startMockCalDAV();
+  work = await startMockCalDAV({
+    auth: { method: "bearer", token: "w0rk" },
+    calendars: [{ id: "work", displayName: "Work", components: ["VEVENT"] }],
+  });
+  dir = mkdtempSync(join(tmpdir(), "calendar-accounts-"));
+  const accountsPath = join(dir, "accounts.json");
+  writeFileSync(
+    accountsPath,
+    JSON.stringify({
+      defaultAccount: "personal",
+      accounts: {
+        personal: {
+          serverUrl: personal.url,
+          username: "alice@example.com",
+          passwordEnv: "PERSONAL_PASSWORD",
+        },
+        work: {
+          serverUrl: work.url,
+          auth: "bearer",
+          token: "w0rk",
+          addresses: ["alice@work.example"],
+        },
+      },
+    })
+  );
+  server = await startServer({
+    FASTMAIL_ACCOUNTS_PATH: accountsPath,
+    PERSONAL_PASSWORD: "secret",
+  });
+});
+
+after(async () => {
+  await server.close();
+  await personal.close();
+  await work.close();
+  rmSync(dir, { recursive: true, force: true });
+});
+
+test("lists the calendars of every account, or of one", async () => {
+  const all = await server.call("list_calendars");
+  assert.equal(all.isError, false, all.text);
+  assert.deepEqual(
+    all.data.map((c) => [c.account, c.name]),
+    [
+      ["personal", "Personal"],
+      ["work", "Work"],
+    ]
+  );
+
+  const one = await server.call("list_calendars", { account: "work" });
+  assert.deepEqual(one.data.map((c) => c.url), [work.calendarUrl("work")]);
+});
+
+test("writes with the credentials of the account holding the calendar", async () => {
+  const created = await server.call("create_event", {
+    title: "Planning",
+    start: "2030-05-06T09:00:00",
+    end: "2030-05-06T10:00:00",
+    calendarUrl: work.calendarUrl("work"),
+    attendees: [{ email: "bob@work.example" }],
+  });
+  assert.equal(created.isError, false, created.text);
+  const put = work.requests.find((r) => r.method === "PUT");
+  assert.equal(put.headers.authorization, "Bearer w0rk");
+  const name = created.data.url.substring(created.data.url.lastIndexOf("/") + 1);
+  assert.match(work.getObject("work", name).data, /ORGANIZER:mailto:alice@work\.example/);
+
+  const changes = await server.call("list_recent_changes", { account: "work" });
+  assert.deepEqual(
+    changes.data.map((c) => [c.account, c.label]),
+    [["work", "create_event"]]
+  );
+  const none = await server.call("list_recent_changes", { account: "personal" });
+  assert.equal(none.data, null, none.text);
+
+  const misdirected = await server.call("undo_change", {
+    changeId: created.data.changeId,
+    account: "personal",
+  });
+  assert.match(misdirected.text, /made in account "work"/);
+  const undone = await server.call("undo_change", { changeId: created.data.changeId });
+  assert.equal(undone.isError, false, undone.text);
+  assert.equal(work.getObject("work", name), undefined);
+});
+
+test("checks a URL against the account selector", async () => {
+  const wrong = await server.call("create_event", {
+    title: "Misfiled",
+    start: "2030-05-06T12:00:00",
+    end: "2030-05-06T13:00:00",
+    calendarUrl: work.calendarUrl("work"),
+    account: "personal",
+  });
+  assert.equal(wrong.isError, true);
+  assert.match(wrong.text, /not found in account "personal"/);
+
+  const event = await server.call("create_event", {
+    title: "Standup",
+    start: "2030-05-06T12:00:00",
+    end: "2030-05-06T12:15:00",
+    calendarUrl: work.calendarUrl("work"),
+  });
+  const moved = await server.call("move_event", {
+    eventUrl: event.data.url,
+    calendarUrl: personal.calendarUrl("personal"),
+  });
+  assert.equal(moved.isError, true);
+  assert.match(moved.text, /use copy_event/);
+});
+
+test("finds free slots across all accounts", async () => {
+  personal.putObject(
+    "personal",
+    "dentist.ics",
+    eventICS({ uid: "dentist", summary: "Dentist", start: "20300507T140000Z", end: "20300507T150000Z" })
+  );
+  work.putObject(
+    "work",
+    "review.ics",
+    eventICS({ uid: "review", summary: "Review", start: "20300507T160000Z", end: "20300507T170000Z" })
+  );
+  const range = { after: "2030-05-07T13:00:00Z", before: "2030-05-07T18:00:00Z", minDuration: "PT30M" };
+  const slots = async (args) =>
+    (await server.call("find_free_slots", args)).data.map((s) => [s.start, s.end]);
+
+  assert.deepEqual(await slots(range), [
+    ["2030-05-07T13:00:00.000Z", "2030-05-07T14:00:00.000Z"],
+    ["2030-05-07T15:00:00.000Z", "2030-05-07T16:00:00.000Z"],
+    ["2030-05-07T17:00:00.000Z", "2030-05-07T18:00:00.000Z"],
+  ]);
+  assert.deepEqual(await slots({ ...range, account: "work" }), [
+    ["2030-05-07T13:00:00.000Z", "2030-05-07T16:00:00.000Z"],
+    ["2030-05-07T17:00:00.000Z", "2030-05-07T18:00:00.000Z"],
+  ]);
+});
+
+/** A server whose work account can't sign in, next to the working personal one. */
+async function startWithExpiredWorkToken() {
+  const accountsPath = join(dir, "expired.json");
+  writeFileSync(
+    accountsPath,
+    JSON.stringify({
+      defaultAccount: "personal",
+      accounts: {
+        personal: { serverUrl: personal.url, username: "alice@example.com", passwordEnv: "PERSONAL_PASSWORD" },
+        work: { serverUrl: work.url, auth: "bearer", token: "expired" },
+      },
+    })
+  );
+  return startServer({ FASTMAIL_ACCOUNTS_PATH: accountsPath, PERSONAL_PASSWORD: "secret" });
+}
+
+test("checks conflicts in the accounts it can reach and still writes", async () => {
+  personal.putObject(
+    "personal",
+    "physio.ics",
+    eventICS({ uid: "physio", summary: "Physio", start: "20300509T140000Z", end: "20300509T150000Z" })
+  );
+  const partial = await startWithExpiredWorkToken();
+  try {
+    const create = (title, start) =>
+      partial.call("create_event", {
+        title,
+        start,
+        end: start.replace(":00:00Z", ":30:00Z"),
+        calendarUrl: personal.calendarUrl("personal"),
+        onConflict: "reject",
+      });
+
+    const clash = await create("Checkup", "2030-05-09T14:00:00Z");
+    assert.equal(clash.isError, true);
+    assert.match(clash.text, /Conflicts with 1 event\(s\): .*Physio/);
+
+    const created = await create("Checkup", "2030-05-09T16:00:00Z");
+    assert.equal(created.isError, false, created.text);
+    assert.deepEqual(created.data.conflictsNotChecked, [
+      { account: "work", error: "Invalid credentials" },
+    ]);
+  } finally {
+    await partial.close();
+  }
+});
+
+test("lists and completes one account's tasks while another is down", async () => {
+  const partial = await startWithExpiredWorkToken();
+  try {
+    const task = await partial.call("create_task", {
+      calendarUrl: personal.calendarUrl("personal"),
+      title: "File taxes",
+      due: "2030-04-15",
+    });
+    assert.equal(task.isError, false, task.text);
+    const block = await partial.call("create_event", {
+      title: "Taxes",
+      start: "2030-04-12T14:00:00Z",
+      end: "2030-04-12T15:30:00Z",
+      calendarUrl: personal.calendarUrl("personal"),
+      taskUid: task.data.uid,
+    });
+    assert.equal(block.isError, false, block.text);
+
+    const listed = await partial.call("list_tasks", { account: "personal" });
+    assert.equal(listed.isError, false, listed.text);
+    const taxes = listed.data.find((t) => t.uid === task.data.uid);
+    assert.equal(taxes.timeBlocks.scheduledHours, 1.5);
+
+    const completed = await partial.call("complete_task", { taskUrl: task.data.url });
+    assert.equal(completed.isError, false, completed.text);
+    assert.equal(completed.data.timeBlocks.scheduledHours, 1.5);
+  } finally {
+    await partial.close();
+  }
+});
+
+test("refuses to start with an unusable accounts file", () => {
+  const accountsPath = join(dir, "broken.json");
+  writeFileSync(
+    accountsPath,
+    JSON.stringify({ accounts: { work: { serverUrl: "http://127.0.0.1:1/", auth: "bearer" } } })
+  );
+  const run = spawnSync(process.execPath, [SERVER_PATH], {
+    env: { PATH: process.env.PATH, FASTMAIL_ACCOUNTS_PATH: accountsPath },
+    input: "",
+    encoding: "utf8",
+    timeout: 10000,
+  });
+  assert.equal(run.status, 1);
+  assert.match(run.stderr, /Account "work" in .*broken\.json: Bearer auth needs a token \(token or tokenEnv\)/);
+});
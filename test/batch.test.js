@@ -0,0 +1,120 @@
+import { after, before, test } from "node:test";
+import assert from "node:assert/strict";
+import { startMockCalDAV } from "./mock-caldav-server.js";
+import { eventICS, mockAccountEnv, startServer } from "./helpers.js";
+
+let mock;
+let server;
+let calendarUrl;
+
+/** A create operation for the personal calendar, on a local day and times. */
+const create = (title, day, start, end) => ({
+  action: "create",
+  title,
+  start: `${day}T${start}:00`,
+  end: `${day}T${end}:00`,
+  calendarUrl,
+});
+
+const stored = () => [...mock.collections.get(new URL(calendarUrl).pathname).objects.values()];
+const writes = (requests) => requests.filter((r) => ["PUT", "DELETE", "MOVE"].includes(r.method));
+
+before(async () => {
+  mock = await startMockCalDAV({
+    // Stand-in for a write the server refuses midway through a batch
+    rejectWrites: ({ body }) => body.includes("SUMMARY:Overflow"),
+  });
+  calendarUrl = mock.calendarUrl("personal");
+  mock.putObject(
+    "personal",
+    "standup.ics",
+    eventICS({ uid: "standup", summary: "Standup", start: "20300701T130000Z", end: "20300701T140000Z" })
+  );
+  server = await startServer(mockAccountEnv(mock));
+});
+
+after(async () => {
+  await server.close();
+  await mock.close();
+});
+
+test("a dry run reports every operation's problems and writes nothing", async () => {
+  const requests = mock.requests.length;
+  const { isError, data, text } = await server.call("batch_events", {
+    operations: [
+      create("Prep", "2030-07-01", "09:30", "10:30"),
+      create("Review", "2030-07-01", "11:00", "12:00"),
+      create("Review again", "2030-07-01", "11:30", "12:30"),
+      { action: "delete", eventUrl: `${calendarUrl}missing.ics` },
+    ],
+    dryRun: true,
+  });
+  assert.equal(isError, false, text);
+  assert.match(text, /^Dry run: 3 of 4 operation\(s\) valid\./);
+  assert.deepEqual(
+    data.results.map((r) => r.ok),
+    [true, true, true, false]
+  );
+  // Overlaps with existing events and with the rest of the batch
+  assert.equal(data.results[0].conflicts.length, 1);
+  assert.deepEqual(data.results[1].conflicts, [{ operation: 2 }]);
+  assert.deepEqual(data.results[2].conflicts, [{ operation: 1 }]);
+  assert.equal(data.written, false);
+  assert.deepEqual(writes(mock.requests.slice(requests)), []);
+});
+
+test("reports each operation's outcome when one write fails", async () => {
+  const { isError, data, text } = await server.call("batch_events", {
+    operations: [
+      create("Kept", "2030-07-03", "09:00", "10:00"),
+      create("Overflow", "2030-07-03", "11:00", "12:00"),
+    ],
+  });
+  assert.equal(isError, true);
+  assert.match(text, /^Batch finished: 1 of 2 operation\(s\) succeeded\./);
+  const [kept, overflow] = data.results;
+  assert.equal(kept.ok, true);
+  assert.ok(kept.changeId);
+  assert.equal(overflow.ok, false);
+  assert.ok(stored().some((o) => o.data.includes("SUMMARY:Kept")));
+});
+
+test("rolls back the operations that succeeded when one fails", async () => {
+  const { isError, data, text } = await server.call("batch_events", {
+    operations: [
+      create("Block A", "2030-07-02", "09:00", "10:00"),
+      { action: "update", eventUrl: `${calendarUrl}standup.ics`, title: "Daily standup" },
+      create("Overflow", "2030-07-02", "11:00", "12:00"),
+    ],
+    rollbackOnFailure: true,
+    concurrency: 1,
+  });
+  assert.equal(isError, true, text);
+  assert.equal(data.written, false);
+  assert.deepEqual(
+    data.results.map((r) => [r.ok, Boolean(r.rolledBack)]),
+    [
+      [true, true],
+      [true, true],
+      [false, false],
+    ]
+  );
+  assert.match(mock.getObject("personal", "standup.ics").data, /^SUMMARY:Standup\r$/m);
+  assert.ok(!stored().some((o) => o.data.includes("SUMMARY:Block A")));
+});
+
+test("with rollbackOnFailure, an invalid operation stops the whole batch", async () => {
+  const requests = mock.requests.length;
+  const { data, text } = await server.call("batch_events", {
+    operations: [
+      create("Never written", "2030-07-04", "09:00", "10:00"),
+      create("Backwards", "2030-07-04", "12:00", "11:00"),
+    ],
+    rollbackOnFailure: true,
+  });
+  assert.ok(data, text);
+  assert.equal(data.written, false);
+  assert.match(data.reason, /nothing was written/);
+  assert.match(data.results[1].error, /end time must be after start time/);
+  assert.deepEqual(writes(mock.requests.slice(requests)), []);
+});
@@ -0,0 +1,149 @@
+import { after, before, test } from "node:test";
+import assert from "node:assert/strict";
+import { startMockCalDAV } from "./mock-caldav-server.js";
+import { mockAccountEnv, startServer } from "./helpers.js";
+
+let mock;
+let server;
+
+before(async () => {
+  mock = await startMockCalDAV();
+  server = await startServer(mockAccountEnv(mock));
+});
+
+after(async () => {
+  await server.close();
+  await mock.close();
+});
+
+test("creates, renames and deletes a calendar", async () => {
+  const created = await server.call("create_calendar", {
+    name: "Time Blocks — Fall",
+    color: "#3a87ad",
+    description: "Season plan",
+  });
+  assert.equal(created.isError, false, created.text);
+  const { url } = created.data;
+  assert.ok(url.startsWith(mock.homeUrl));
+
+  const renamed = await server.call("update_calendar", { calendarUrl: url, name: "Archive — Fall" });
+  assert.equal(renamed.isError, false, renamed.text);
+  const listed = await server.call("list_calendars");
+  const calendar = listed.data.find((c) => c.url === url);
+  assert.equal(calendar.name, "Archive — Fall");
+  assert.equal(calendar.color, "#3a87ad");
+
+  const deleted = await server.call("delete_calendar", { calendarUrl: url });
+  assert.equal(deleted.isError, false, deleted.text);
+  assert.ok(!mock.collections.has(new URL(url).pathname));
+});
+
+test("recolors a calendar and only deletes a non-empty one when forced", async () => {
+  const created = await server.call("create_calendar", {
+    name: "Spring Blocks",
+    components: ["VEVENT", "VTODO"],
+  });
+  assert.equal(created.isError, false, created.text);
+  const { url } = created.data;
+  const mkcalendar = mock.requests.find((r) => r.method === "MKCALENDAR" && url.endsWith(r.path));
+  assert.match(mkcalendar.body, /<c:comp name="VEVENT"\/>\s*<c:comp name="VTODO"\/>/);
+
+  const recolored = await server.call("update_calendar", {
+    calendarUrl: url,
+    color: "#ff8800",
+    description: "Blocks for the spring term",
+  });
+  assert.equal(recolored.isError, false, recolored.text);
+  const proppatch = mock.requests.findLast((r) => r.method === "PROPPATCH");
+  assert.doesNotMatch(proppatch.body, /displayname/);
+  const invalid = await server.call("update_calendar", { calendarUrl: url, color: "orange" });
+  assert.equal(invalid.isError, true);
+
+  const listed = await server.call("list_calendars");
+  const calendar = listed.data.find((c) => c.url === url);
+  assert.deepEqual(
+    [calendar.name, calendar.color, calendar.description, calendar.components],
+    ["Spring Blocks", "#ff8800", "Blocks for the spring term", ["VEVENT", "VTODO"]]
+  );
+  assert.equal(calendar.readOnly, false);
+  assert.equal(calendar.subscribed, false);
+  assert.equal(typeof calendar.ctag, "string");
+
+  const event = await server.call("create_event", {
+    title: "Block",
+    start: "2030-03-04T09:00:00",
+    end: "2030-03-04T10:00:00",
+    calendarUrl: url,
+  });
+  assert.equal(event.isError, false, event.text);
+  const refused = await server.call("delete_calendar", { calendarUrl: url });
+  assert.equal(refused.isError, true);
+  assert.match(refused.text, /still holds 1 object\(s\)/);
+  assert.ok(mock.collections.has(new URL(url).pathname));
+
+  const forced = await server.call("delete_calendar", { calendarUrl: url, force: true });
+  assert.equal(forced.isError, false, forced.text);
+  assert.equal(forced.data.objectCount, 1);
+  assert.ok(!mock.collections.has(new URL(url).pathname));
+});
+
+function zonedEventICS(uid, tzid, offset) {
+  return [
+    "BEGIN:VCALENDAR",
+    "VERSION:2.0",
+    "PRODID:-//Other Client//EN",
+    "BEGIN:VTIMEZONE",
+    `TZID:${tzid}`,
+    "BEGIN:STANDARD",
+    "DTSTART:19700101T000000",
+    `TZOFFSETFROM:${offset}`,
+    `TZOFFSETTO:${offset}`,
+    "END:STANDARD",
+    "END:VTIMEZONE",
+    "BEGIN:VEVENT",
+    `UID:${uid}`,
+    "DTSTAMP:20300101T000000Z",
+    `DTSTART;TZID=${tzid}:20300506T090000`,
+    `DTEND;TZID=${tzid}:20300506T100000`,
+    `SUMMARY:${uid}`,
+    "END:VEVENT",
+    "END:VCALENDAR",
+    "",
+  ].join("\r\n");
+}
+
+test("reads each resource's times in its own time zones", async () => {
+  const zoned = await startMockCalDAV();
+  zoned.putObject("personal", "berlin.ics", zonedEventICS("berlin", "Europe/Berlin", "+0500"));
+  zoned.putObject("personal", "east.ics", zonedEventICS("east", "Custom Zone", "+0300"));
+  zoned.putObject("personal", "far-east.ics", zonedEventICS("far-east", "Custom Zone", "+0500"));
+  const zonedServer = await startServer(mockAccountEnv(zoned));
+  const starts = async () => {
+    const { data, text } = await zonedServer.call("get_events", {
+      after: "2030-05-05T00:00:00Z",
+      before: "2030-05-07T00:00:00Z",
+    });
+    assert.ok(data, text);
+    return Object.fromEntries(data.map((e) => [e.title.split(": ").pop(), e.start]));
+  };
+  try {
+    const expected = {
+      // IANA zones come from Intl, whatever the resource says
+      berlin: "2030-05-06T03:00:00 (America/New_York)",
+      east: "2030-05-06T02:00:00 (America/New_York)",
+      "far-east": "2030-05-06T00:00:00 (America/New_York)",
+    };
+    assert.deepEqual(await starts(), expected);
+
+    const preview = await zonedServer.call("import_ics", {
+      calendarUrl: zoned.calendarUrl("personal"),
+      ics: zonedEventICS("imported", "Custom Zone", "-0800"),
+      dryRun: true,
+    });
+    assert.equal(preview.isError, false, preview.text);
+    assert.deepEqual(await starts(), expected);
+  } finally {
+    await zonedServer.close();
+    await zoned.close();
+  }
+});
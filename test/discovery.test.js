@@ -0,0 +1,148 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { spawnSync } from "child_process";
+import { startMockCalDAV } from "./mock-caldav-server.js";
+import { SERVER_PATH, mockAccountEnv, startServer } from "./helpers.js";
+
+test("discovers the calendar home through /.well-known/caldav", async () => {
+  const mock = await startMockCalDAV();
+  const server = await startServer(mockAccountEnv(mock));
+  try {
+    const { isError, data } = await server.call("list_calendars");
+    assert.equal(isError, false);
+    assert.deepEqual(
+      data.map((c) => [c.name, c.url]),
+      [["Personal", mock.calendarUrl("personal")]]
+    );
+    const propfinds = mock.requests.filter((r) => r.method === "PROPFIND").map((r) => r.path);
+    assert.deepEqual(propfinds.slice(0, 4), [
+      "/.well-known/caldav",
+      "/dav/",
+      "/dav/principals/alice/",
+      "/dav/calendars/alice/",
+    ]);
+  } finally {
+    await server.close();
+    await mock.close();
+  }
+});
+
+test("falls back to the server URL when there is no well-known redirect", async () => {
+  const mock = await startMockCalDAV({ wellKnown: false });
+  const server = await startServer(mockAccountEnv(mock, { CALDAV_SERVER_URL: mock.rootUrl }));
+  try {
+    const { isError, data } = await server.call("list_calendars");
+    assert.equal(isError, false, data);
+    assert.equal(data[0].name, "Personal");
+  } finally {
+    await server.close();
+    await mock.close();
+  }
+});
+
+test("a configured principal URL skips the well-known lookup", async () => {
+  const mock = await startMockCalDAV();
+  const server = await startServer(
+    mockAccountEnv(mock, { CALDAV_PRINCIPAL_URL: "/dav/principals/alice/" })
+  );
+  try {
+    const { isError } = await server.call("list_calendars");
+    assert.equal(isError, false);
+    const paths = mock.requests.map((r) => r.path);
+    assert.ok(!paths.includes("/.well-known/caldav"));
+    assert.ok(!paths.includes("/dav/"));
+    assert.ok(paths.includes("/dav/principals/alice/"));
+  } finally {
+    await server.close();
+    await mock.close();
+  }
+});
+
+test("a configured calendar home URL skips discovery entirely", async () => {
+  const mock = await startMockCalDAV();
+  const server = await startServer(mockAccountEnv(mock, { CALDAV_CALENDAR_HOME_URL: mock.homeUrl }));
+  try {
+    const { isError, data } = await server.call("list_calendars");
+    assert.equal(isError, false);
+    assert.equal(data.length, 1);
+    const paths = mock.requests.map((r) => r.path);
+    assert.ok(!paths.includes("/.well-known/caldav"));
+    assert.ok(!paths.includes("/dav/principals/alice/"));
+  } finally {
+    await server.close();
+    await mock.close();
+  }
+});
+
+test("reports invalid credentials", async () => {
+  const mock = await startMockCalDAV();
+  const server = await startServer(mockAccountEnv(mock, { CALDAV_PASSWORD: "wrong" }));
+  try {
+    const { isError, text } = await server.call("list_calendars");
+    assert.equal(isError, true);
+    assert.match(text, /Invalid credentials/);
+  } finally {
+    await server.close();
+    await mock.close();
+  }
+});
+
+test("authenticates with a bearer token, for reads and writes", async () => {
+  const mock = await startMockCalDAV({ auth: { method: "bearer", token: "t0ken" } });
+  const server = await startServer({
+    CALDAV_SERVER_URL: mock.url,
+    CALDAV_AUTH: "bearer",
+    CALDAV_TOKEN: "t0ken",
+    FASTMAIL_ADDRESSES: "alice@example.com",
+  });
+  try {
+    const created = await server.call("create_event", {
+      title: "Token check",
+      start: "2030-05-01T10:00:00",
+      end: "2030-05-01T11:00:00",
+      calendarUrl: mock.calendarUrl("personal"),
+    });
+    assert.equal(created.isError, false, created.text);
+    const put = mock.requests.find((r) => r.method === "PUT");
+    assert.equal(put.headers.authorization, "Bearer t0ken");
+  } finally {
+    await server.close();
+    await mock.close();
+  }
+});
+
+test("works without authentication", async () => {
+  const mock = await startMockCalDAV({ auth: { method: "none" } });
+  const server = await startServer({ CALDAV_SERVER_URL: mock.url, CALDAV_AUTH: "none" });
+  try {
+    const { isError, data } = await server.call("list_calendars");
+    assert.equal(isError, false);
+    assert.equal(data[0].name, "Personal");
+    assert.ok(mock.requests.every((r) => !r.headers.authorization));
+  } finally {
+    await server.close();
+    await mock.close();
+  }
+});
+
+test("refuses to start with an incomplete account", () => {
+  const run = (env) =>
+    spawnSync(process.execPath, [SERVER_PATH], {
+      env: { PATH: process.env.PATH, FASTMAIL_ACCOUNTS_PATH: "/nonexistent/accounts.json", ...env },
+      input: "",
+      encoding: "utf8",
+      timeout: 10000,
+    });
+
+  const bearer = run({ CALDAV_SERVER_URL: "http://127.0.0.1:1/", CALDAV_AUTH: "bearer" });
+  assert.equal(bearer.status, 1);
+  assert.match(bearer.stderr, /CALDAV_TOKEN/);
+
+  const fastmail = run({});
+  assert.equal(fastmail.status, 1);
+  assert.match(fastmail.stderr, /FASTMAIL_USERNAME and FASTMAIL_APP_PASSWORD/);
+
+  const method = run({ CALDAV_SERVER_URL: "http://127.0.0.1:1/", CALDAV_AUTH: "digest" });
+  assert.equal(method.status, 1);
+  assert.match(method.stderr, /Unknown auth method "digest"/);
+});
@@ -0,0 +1,460 @@
+import { after, before, test } from "node:test";
+import assert from "node:assert/strict";
+import { startMockCalDAV } from "./mock-caldav-server.js";
+import { eventICS, mockAccountEnv, startServer } from "./helpers.js";
+
+/** A resource's stored ICS with folded lines joined back up. */
+const unfolded = (object) => object.data.replace(/\r\n[ \t]/g, "");
+
+let mock;
+let server;
+
+before(async () => {
+  mock = await startMockCalDAV();
+  server = await startServer(mockAccountEnv(mock));
+});
+
+after(async () => {
+  await server.close();
+  await mock.close();
+});
+
+test("rewrites only the properties an update changes", async () => {
+  const vtimezone = [
+    "BEGIN:VTIMEZONE",
+    "TZID:America/New_York",
+    "X-LIC-LOCATION:America/New_York",
+    "BEGIN:DAYLIGHT",
+    "TZOFFSETFROM:-0500",
+    "TZOFFSETTO:-0400",
+    "TZNAME:EDT",
+    "DTSTART:19700308T020000",
+    "RRULE:FREQ=YEARLY;BYMONTH=3;BYDAY=2SU",
+    "END:DAYLIGHT",
+    "BEGIN:STANDARD",
+    "TZOFFSETFROM:-0400",
+    "TZOFFSETTO:-0500",
+    "TZNAME:EST",
+    "DTSTART:19701101T020000",
+    "RRULE:FREQ=YEARLY;BYMONTH=11;BYDAY=1SU",
+    "END:STANDARD",
+    "END:VTIMEZONE",
+  ];
+  mock.putObject(
+    "personal",
+    "seminar.ics",
+    [
+      "BEGIN:VCALENDAR",
+      "VERSION:2.0",
+      "PRODID:-//Other Client//EN",
+      "X-WR-CALNAME:Elsewhere",
+      ...vtimezone,
+      "BEGIN:VEVENT",
+      "UID:seminar",
+      "DTSTAMP:20300101T000000Z",
+      "DTSTART;TZID=America/New_York:20300507T140000",
+      "DTEND;TZID=America/New_York:20300507T150000",
+      "RRULE:FREQ=WEEKLY;COUNT=3",
+      "SUMMARY:Seminar",
+      `DESCRIPTION:${"Reading list and notes for the weekly seminar. ".repeat(4).trim()}`,
+      "X-ALT-DESC;FMTTYPE=text/html:<p>Reading list</p>",
+      "ATTACH;FMTTYPE=application/pdf:https://example.com/syllabus.pdf",
+      "GEO:37.386013;-122.082932",
+      "BEGIN:VALARM",
+      "ACTION:DISPLAY",
+      "DESCRIPTION:Seminar",
+      "TRIGGER:-PT10M",
+      "X-APPLE-DEFAULT-ALARM:TRUE",
+      "END:VALARM",
+      "END:VEVENT",
+      "BEGIN:VEVENT",
+      "UID:seminar",
+      "DTSTAMP:20300101T000000Z",
+      "RECURRENCE-ID;TZID=America/New_York:20300514T140000",
+      "DTSTART;TZID=America/New_York:20300514T160000",
+      "DTEND;TZID=America/New_York:20300514T170000",
+      "SUMMARY:Seminar (late)",
+      "END:VEVENT",
+      "END:VCALENDAR",
+      "",
+    ].join("\r\n")
+  );
+
+  const updated = await server.call("update_event", {
+    eventUrl: `${mock.calendarUrl("personal")}seminar.ics`,
+    title: "Reading group",
+    description: "",
+  });
+  assert.equal(updated.isError, false, updated.text);
+
+  const data = unfolded(mock.getObject("personal", "seminar.ics"));
+  assert.ok(data.includes(vtimezone.join("\r\n")), "the VTIMEZONE is untouched");
+  assert.match(data, /^X-WR-CALNAME:Elsewhere$/m);
+  assert.match(data, /^SUMMARY:Reading group$/m);
+  assert.match(data, /^SUMMARY:Seminar \(late\)$/m);
+  assert.doesNotMatch(data, /^DESCRIPTION:Reading list/m);
+  for (const line of [
+    "DTSTART;TZID=America/New_York:20300507T140000",
+    "X-ALT-DESC;FMTTYPE=text/html:<p>Reading list</p>",
+    "ATTACH;FMTTYPE=application/pdf:https://example.com/syllabus.pdf",
+    "GEO:37.386013;-122.082932",
+    "X-APPLE-DEFAULT-ALARM:TRUE",
+  ]) {
+    assert.ok(data.includes(`\r\n${line}\r\n`), line);
+  }
+  // Alarms that showed the old title follow the rename
+  assert.match(data, /BEGIN:VALARM\r\nACTION:DISPLAY\r\nDESCRIPTION:Reading group/);
+  // A new title doesn't reschedule anything, so SEQUENCE stays as it was
+  assert.doesNotMatch(data, /^SEQUENCE:/m);
+});
+
+test("changing a time keeps the event's own timezone and bumps SEQUENCE", async () => {
+  mock.putObject(
+    "personal",
+    "call.ics",
+    [
+      "BEGIN:VCALENDAR",
+      "VERSION:2.0",
+      "PRODID:-//Other Client//EN",
+      "BEGIN:VEVENT",
+      "UID:call",
+      "DTSTAMP:20300101T000000Z",
+      "DTSTART;TZID=Europe/Berlin:20300508T100000",
+      "DURATION:PT45M",
+      "SUMMARY:Call",
+      "SEQUENCE:2",
+      "X-OTHER-CLIENT:keep me",
+      "END:VEVENT",
+      "END:VCALENDAR",
+      "",
+    ].join("\r\n")
+  );
+
+  const updated = await server.call("update_event", {
+    eventUrl: `${mock.calendarUrl("personal")}call.ics`,
+    start: "2030-05-08T11:00:00",
+  });
+  assert.equal(updated.isError, false, updated.text);
+
+  const data = unfolded(mock.getObject("personal", "call.ics"));
+  assert.match(data, /^DTSTART;TZID=Europe\/Berlin:20300508T110000$/m);
+  // DURATION is swapped in place for a DTEND with the same length
+  assert.match(data, /^DTEND;TZID=Europe\/Berlin:20300508T114500$/m);
+  assert.doesNotMatch(data, /^DURATION:/m);
+  assert.match(data, /^SEQUENCE:3$/m);
+  assert.match(data, /^X-OTHER-CLIENT:keep me$/m);
+});
+
+test("writes times in the requested timezone with its VTIMEZONE", async () => {
+  const created = await server.call("create_event", {
+    title: "Berlin sync",
+    start: "2031-03-24T10:00:00",
+    end: "2031-03-24T11:00:00",
+    timeZone: "Europe/Berlin",
+    recurrence: { frequency: "weekly", count: 2 },
+    calendarUrl: mock.calendarUrl("personal"),
+  });
+  assert.equal(created.isError, false, created.text);
+  const name = created.data.url.substring(created.data.url.lastIndexOf("/") + 1);
+  let data = unfolded(mock.getObject("personal", name));
+  assert.match(data, /^DTSTART;TZID=Europe\/Berlin:20310324T100000$/m);
+  assert.match(data, /^DTEND;TZID=Europe\/Berlin:20310324T110000$/m);
+  assert.match(data, /BEGIN:VTIMEZONE\r\nTZID:Europe\/Berlin\r\n[\s\S]*END:VTIMEZONE[\s\S]*BEGIN:VEVENT/);
+
+  // Berlin moves to summer time a few weeks after New York, so the
+  // series keeps 10:00 in Berlin while its New York time changes
+  const events = await server.call("get_events", {
+    after: "2031-03-20T00:00:00Z",
+    before: "2031-04-05T00:00:00Z",
+  });
+  assert.ok(events.data, events.text);
+  assert.deepEqual(
+    events.data.filter((e) => e.title.endsWith("Berlin sync")).map((e) => e.start),
+    ["2031-03-24T05:00:00 (America/New_York)", "2031-03-31T04:00:00 (America/New_York)"]
+  );
+
+  const moved = await server.call("update_event", {
+    eventUrl: created.data.url,
+    start: "2031-03-24T18:00:00",
+    end: "2031-03-24T19:00:00",
+    timeZone: "Asia/Tokyo",
+  });
+  assert.equal(moved.isError, false, moved.text);
+  data = unfolded(mock.getObject("personal", name));
+  assert.match(data, /^DTSTART;TZID=Asia\/Tokyo:20310324T180000$/m);
+  assert.match(data, /^DTEND;TZID=Asia\/Tokyo:20310324T190000$/m);
+  assert.match(data, /BEGIN:VTIMEZONE\r\nTZID:Asia\/Tokyo\r\n/);
+});
+
+test("creates all-day events as date ranges that block time only on request", async () => {
+  const created = await server.call("create_event", {
+    title: "Conference",
+    start: "2031-06-02",
+    end: "2031-06-04",
+    allDay: true,
+    calendarUrl: mock.calendarUrl("personal"),
+  });
+  assert.equal(created.isError, false, created.text);
+  const { url } = created.data;
+  const name = url.substring(url.lastIndexOf("/") + 1);
+  // DTEND is the exclusive day after the last one
+  let data = unfolded(mock.getObject("personal", name));
+  assert.match(data, /^DTSTART;VALUE=DATE:20310602$/m);
+  assert.match(data, /^DTEND;VALUE=DATE:20310605$/m);
+
+  const events = await server.call("get_events", {
+    after: "2031-06-01T00:00:00Z",
+    before: "2031-06-08T00:00:00Z",
+  });
+  assert.ok(events.data, events.text);
+  const conference = events.data.find((e) => e.title.endsWith("Conference"));
+  assert.deepEqual(
+    [conference.allDay, conference.start, conference.end, conference.duration],
+    [true, "2031-06-02", "2031-06-04", "P3D"]
+  );
+
+  const slots = (allDayEvents) =>
+    server.call("find_free_slots", {
+      after: "2031-06-03T12:00:00Z",
+      before: "2031-06-03T16:00:00Z",
+      minDuration: "PT1H",
+      ...(allDayEvents && { allDayEvents }),
+    });
+  assert.equal((await slots()).data.length, 1);
+  assert.match((await slots("busy")).text, /No free slots found/);
+
+  const timed = await server.call("update_event", {
+    eventUrl: url,
+    allDay: false,
+    start: "2031-06-02T09:00:00",
+    end: "2031-06-02T17:00:00",
+  });
+  assert.equal(timed.isError, false, timed.text);
+  data = unfolded(mock.getObject("personal", name));
+  assert.match(data, /^DTSTART;TZID=America\/New_York:20310602T090000$/m);
+  assert.match(data, /^DTEND;TZID=America\/New_York:20310602T170000$/m);
+});
+
+test("checks new and moved events against busy time", async () => {
+  mock.putObject(
+    "personal",
+    "team-sync.ics",
+    eventICS({
+      uid: "team-sync",
+      summary: "Team sync",
+      start: "20320106T150000Z",
+      end: "20320106T160000Z",
+      extra: ["RRULE:FREQ=WEEKLY;COUNT=10"],
+    })
+  );
+  mock.putObject(
+    "personal",
+    "focus.ics",
+    eventICS({
+      uid: "focus",
+      summary: "Focus",
+      start: "20320113T170000Z",
+      end: "20320113T180000Z",
+      extra: ["TRANSP:TRANSPARENT"],
+    })
+  );
+  const objects = () => mock.collections.get(new URL(mock.calendarUrl("personal")).pathname).objects.size;
+  const create = (title, start, end, onConflict) =>
+    server.call("create_event", {
+      title,
+      start: `2032-01-13T${start}:00`,
+      end: `2032-01-13T${end}:00`,
+      calendarUrl: mock.calendarUrl("personal"),
+      ...(onConflict && { onConflict }),
+    });
+
+  // The third occurrence of the weekly sync
+  const warned = await create("Overlapping", "10:30", "11:30");
+  assert.equal(warned.isError, false, warned.text);
+  assert.match(warned.text, /^Event created, but it overlaps 1 existing event/);
+  assert.equal(warned.data.conflicts.length, 1);
+  assert.ok(warned.data.conflicts[0].title.endsWith("Team sync"));
+  assert.equal(warned.data.conflicts[0].recurrenceId, "2032-01-13T15:00:00.000Z");
+
+  const count = objects();
+  const rejected = await create("Rejected", "10:00", "11:00", "reject");
+  assert.equal(rejected.isError, true);
+  assert.match(rejected.text, /Conflicts with 2 event\(s\)/);
+  assert.equal(objects(), count);
+
+  // Transparent events don't block time
+  const free = await create("Lunch", "12:00", "13:00", "reject");
+  assert.equal(free.isError, false, free.text);
+  assert.equal(free.data.conflicts, undefined);
+
+  const moved = { eventUrl: free.data.url, start: "2032-01-13T10:00:00", end: "2032-01-13T11:00:00" };
+  const refused = await server.call("update_event", { ...moved, onConflict: "reject" });
+  assert.equal(refused.isError, true);
+  assert.match(refused.text, /Conflicts with/);
+  const allowed = await server.call("update_event", { ...moved, onConflict: "allow" });
+  assert.equal(allowed.isError, false, allowed.text);
+  assert.equal(allowed.data.conflicts, undefined);
+});
+
+test("checks a series that started long ago only from now on", async () => {
+  const icsTime = (date) => date.toISOString().replace(/[-:]|\.\d{3}/g, "");
+  const tomorrow = new Date(Math.ceil(Date.now() / 86400000) * 86400000);
+  mock.putObject(
+    "personal",
+    "past-workshop.ics",
+    eventICS({ uid: "past-workshop", summary: "Workshop", start: "20150303T140000Z", end: "20150303T150000Z" })
+  );
+  mock.putObject(
+    "personal",
+    "offsite.ics",
+    eventICS({
+      uid: "offsite",
+      summary: "Offsite",
+      start: icsTime(tomorrow),
+      end: icsTime(new Date(tomorrow.getTime() + 2 * 86400000)),
+    })
+  );
+
+  const created = await server.call("create_event", {
+    title: "Daily review",
+    start: "2015-03-02T09:00:00",
+    end: "2015-03-02T09:30:00",
+    recurrence: { frequency: "daily" },
+    calendarUrl: mock.calendarUrl("personal"),
+  });
+  assert.equal(created.isError, false, created.text);
+  assert.ok(created.data.conflicts.length > 0);
+  assert.ok(created.data.conflicts.every((c) => c.title.endsWith("Offsite")));
+});
+
+test("relinks an event to another task and keeps its other relations", async () => {
+  mock.putObject(
+    "personal",
+    "drafting.ics",
+    eventICS({
+      uid: "drafting",
+      summary: "Drafting",
+      start: "20320301T140000Z",
+      end: "20320301T160000Z",
+      extra: ["RELATED-TO;RELTYPE=SIBLING:outline", "RELATED-TO:chapter-1"],
+    })
+  );
+  const eventUrl = `${mock.calendarUrl("personal")}drafting.ics`;
+  const relations = () =>
+    unfolded(mock.getObject("personal", "drafting.ics")).match(/^RELATED-TO[^\r]*/gm);
+
+  const relinked = await server.call("update_event", { eventUrl, taskUid: "chapter-2" });
+  assert.equal(relinked.isError, false, relinked.text);
+  assert.deepEqual(relations(), ["RELATED-TO;RELTYPE=SIBLING:outline", "RELATED-TO:chapter-2"]);
+
+  const unlinked = await server.call("update_event", { eventUrl, taskUid: "" });
+  assert.equal(unlinked.isError, false, unlinked.text);
+  assert.deepEqual(relations(), ["RELATED-TO;RELTYPE=SIBLING:outline"]);
+});
+
+test("adds reminders, keeps them through edits and removes them on request", async () => {
+  const created = await server.call("create_event", {
+    title: "Dentist",
+    start: "2032-02-10T15:00:00",
+    end: "2032-02-10T16:00:00",
+    calendarUrl: mock.calendarUrl("personal"),
+    reminders: [{ before: "PT30M" }, { before: "P1D", action: "email" }],
+  });
+  assert.equal(created.isError, false, created.text);
+  const { url } = created.data;
+  const name = url.substring(url.lastIndexOf("/") + 1);
+  let data = unfolded(mock.getObject("personal", name));
+  assert.equal(data.match(/^BEGIN:VALARM$/gm).length, 2);
+  assert.match(data, /^TRIGGER:-PT30M$/m);
+  // Email reminders go to our own address
+  assert.match(data, /ACTION:EMAIL\r\nTRIGGER:-P1D\r\nDESCRIPTION:Dentist\r\nSUMMARY:Dentist\r\nATTENDEE:mailto:alice@example\.com/);
+
+  const rescheduled = await server.call("update_event", { eventUrl: url, start: "2032-02-11T15:00:00" });
+  assert.equal(rescheduled.isError, false, rescheduled.text);
+  const events = await server.call("get_events", {
+    after: "2032-02-11T00:00:00Z",
+    before: "2032-02-12T00:00:00Z",
+  });
+  assert.ok(events.data, events.text);
+  const dentist = events.data.find((e) => e.title.endsWith("Dentist"));
+  assert.deepEqual(dentist.reminders, [
+    { action: "display", before: "PT30M", relativeTo: "start" },
+    { action: "email", before: "P1D", relativeTo: "start" },
+  ]);
+
+  const invalid = await server.call("update_event", { eventUrl: url, reminders: [{ before: "30 minutes" }] });
+  assert.equal(invalid.isError, true);
+  assert.match(invalid.text, /Invalid reminder offset/);
+
+  const cleared = await server.call("update_event", { eventUrl: url, reminders: [] });
+  assert.equal(cleared.isError, false, cleared.text);
+  data = unfolded(mock.getObject("personal", name));
+  assert.doesNotMatch(data, /BEGIN:VALARM/);
+});
+
+test("shows everything about one event, and its raw ICS on request", async () => {
+  const ics = [
+    "BEGIN:VCALENDAR",
+    "VERSION:2.0",
+    "PRODID:-//Other Client//EN",
+    "BEGIN:VEVENT",
+    "UID:workshop",
+    "DTSTAMP:20300101T000000Z",
+    "LAST-MODIFIED:20300102T120000Z",
+    "DTSTART;TZID=Europe/Berlin:20320301T100000",
+    "DTEND;TZID=Europe/Berlin:20320301T120000",
+    "RRULE:FREQ=WEEKLY;COUNT=4",
+    "EXDATE;TZID=Europe/Berlin:20320315T100000",
+    "SUMMARY:Workshop",
+    "STATUS:TENTATIVE",
+    "TRANSP:TRANSPARENT",
+    "SEQUENCE:4",
+    "CATEGORIES:Teaching",
+    "ORGANIZER:mailto:alice@example.com",
+    "ATTENDEE;PARTSTAT=ACCEPTED:mailto:bob@example.com",
+    "BEGIN:VALARM",
+    "ACTION:DISPLAY",
+    "TRIGGER:-PT15M",
+    "DESCRIPTION:Workshop",
+    "END:VALARM",
+    "END:VEVENT",
+    "BEGIN:VEVENT",
+    "UID:workshop",
+    "DTSTAMP:20300101T000000Z",
+    "RECURRENCE-ID;TZID=Europe/Berlin:20320308T100000",
+    "DTSTART;TZID=Europe/Berlin:20320308T140000",
+    "DTEND;TZID=Europe/Berlin:20320308T160000",
+    "SUMMARY:Workshop (afternoon)",
+    "SEQUENCE:4",
+    "END:VEVENT",
+    "END:VCALENDAR",
+    "",
+  ].join("\r\n");
+  const etag = mock.putObject("personal", "workshop.ics", ics);
+  const eventUrl = `${mock.calendarUrl("personal")}workshop.ics`;
+
+  const { data, text } = await server.call("get_event", { eventUrl });
+  assert.ok(data, text);
+  assert.equal(data.etag, etag);
+  assert.equal(data.uid, "workshop");
+  assert.ok(data.title.endsWith("Workshop"));
+  assert.deepEqual(
+    [data.status, data.transparency, data.timeZone, data.sequence, data.lastModified],
+    ["TENTATIVE", "TRANSPARENT", "Europe/Berlin", 4, "2030-01-02T07:00:00 (America/New_York)"]
+  );
+  assert.ok(data.categories.endsWith("Teaching"));
+  assert.deepEqual(data.attendees.map((a) => [a.email, a.partstat]), [["bob@example.com", "ACCEPTED"]]);
+  assert.deepEqual(data.reminders, [{ action: "display", before: "PT15M", relativeTo: "start" }]);
+  assert.deepEqual(data.recurrence, {
+    rule: "FREQ=WEEKLY;COUNT=4",
+    exdates: ["2032-03-15T09:00:00.000Z"],
+  });
+  assert.equal(data.overrides.length, 1);
+  assert.equal(data.overrides[0].recurrenceId, "2032-03-08T09:00:00.000Z");
+  assert.ok(data.overrides[0].title.endsWith("Workshop (afternoon)"));
+  assert.equal(data.ics, undefined);
+
+  const raw = await server.call("get_event", { eventUrl, includeRaw: true });
+  assert.ok(raw.data, raw.text);
+  assert.ok(raw.data.ics.endsWith(ics));
+});
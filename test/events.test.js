@@ -0,0 +1,314 @@
+import { after, before, describe, test } from "node:test";
+import assert from "node:assert/strict";
+import { startMockCalDAV } from "./mock-caldav-server.js";
+import { eventICS, mockAccountEnv, startServer } from "./helpers.js";
+
+const RANGE = { after: "2030-05-01T00:00:00Z", before: "2030-06-01T00:00:00Z" };
+
+for (const syncCollection of [true, false]) {
+  describe(`events (${syncCollection ? "sync-collection" : "ctag/ETag"} sync)`, () => {
+    let mock;
+    let server;
+
+    before(async () => {
+      mock = await startMockCalDAV({
+        syncCollection,
+        calendars: [
+          { id: "personal", displayName: "Personal" },
+          { id: "work", displayName: "Work", components: ["VEVENT"] },
+        ],
+      });
+      server = await startServer(mockAccountEnv(mock));
+    });
+
+    after(async () => {
+      await server.close();
+      await mock.close();
+    });
+
+    test("creates, reads, updates and deletes an event", async () => {
+      const created = await server.call("create_event", {
+        title: "Deep work",
+        start: "2030-05-06T09:00:00",
+        end: "2030-05-06T11:00:00",
+        calendarUrl: mock.calendarUrl("personal"),
+      });
+      assert.equal(created.isError, false, created.text);
+      const { url } = created.data;
+      assert.ok(url.startsWith(mock.calendarUrl("personal")));
+
+      const listed = await server.call("get_events", RANGE);
+      assert.deepEqual(
+        listed.data.map((e) => e.start),
+        ["2030-05-06T09:00:00 (America/New_York)"]
+      );
+
+      const updated = await server.call("update_event", { eventUrl: url, title: "Writing" });
+      assert.equal(updated.isError, false, updated.text);
+      const name = url.substring(url.lastIndexOf("/") + 1);
+      assert.match(mock.getObject("personal", name).data, /SUMMARY:Writing/);
+
+      const deleted = await server.call("delete_event", { eventUrl: url });
+      assert.equal(deleted.isError, false, deleted.text);
+      assert.equal(mock.getObject("personal", name), undefined);
+    });
+
+    test("sees changes made by other clients", async () => {
+      mock.putObject(
+        "work",
+        "standup.ics",
+        eventICS({
+          uid: "standup",
+          summary: "Standup",
+          start: "20300507T130000Z",
+          end: "20300507T131500Z",
+          extra: ["RRULE:FREQ=DAILY;COUNT=3", "X-OTHER-CLIENT:keep me"],
+        })
+      );
+      let listed = await server.call("get_events", RANGE);
+      assert.equal(listed.data.filter((e) => e.title.endsWith("Standup")).length, 3);
+
+      mock.deleteObject("work", "standup.ics");
+      listed = await server.call("get_events", RANGE);
+      assert.equal(listed.data, null, listed.text);
+    });
+
+    test("keeps properties it doesn't model when updating", async () => {
+      mock.putObject(
+        "work",
+        "review.ics",
+        eventICS({
+          uid: "review",
+          summary: "Review",
+          start: "20300508T140000Z",
+          end: "20300508T150000Z",
+          extra: ["X-OTHER-CLIENT:keep me", "CATEGORIES:PhD"],
+        })
+      );
+      const eventUrl = `${mock.calendarUrl("work")}review.ics`;
+      const updated = await server.call("update_event", { eventUrl, location: "Library" });
+      assert.equal(updated.isError, false, updated.text);
+
+      const { data } = mock.getObject("work", "review.ics");
+      assert.match(data, /X-OTHER-CLIENT:keep me/);
+      assert.match(data, /CATEGORIES:PhD/);
+      assert.match(data, /LOCATION:Library/);
+    });
+
+    test("refuses to overwrite an event changed on the server", async () => {
+      const original = mock.getObject("work", "review.ics").data;
+      mock.putObject("work", "review.ics", original.replace("Review", "Changed elsewhere"));
+
+      const [latest] = (await server.call("list_recent_changes")).data;
+      const undone = await server.call("undo_change", { changeId: latest.id });
+      assert.equal(undone.isError, true);
+      assert.match(undone.text, /changed on the server since/);
+    });
+
+    test("moves an event to another calendar and undoes the move", async () => {
+      const created = await server.call("create_event", {
+        title: "Movable",
+        start: "2030-05-09T09:00:00",
+        end: "2030-05-09T10:00:00",
+        calendarUrl: mock.calendarUrl("personal"),
+      });
+      const moved = await server.call("move_event", {
+        eventUrl: created.data.url,
+        calendarUrl: mock.calendarUrl("work"),
+      });
+      assert.equal(moved.isError, false, moved.text);
+      assert.ok(moved.data.url.startsWith(mock.calendarUrl("work")));
+      assert.ok(mock.requests.some((r) => r.method === "MOVE"));
+
+      const undone = await server.call("undo_change", { changeId: moved.data.changeId });
+      assert.equal(undone.isError, false, undone.text);
+      const name = created.data.url.substring(created.data.url.lastIndexOf("/") + 1);
+      assert.ok(mock.getObject("personal", name));
+      assert.equal(mock.getObject("work", name), undefined);
+    });
+
+    test("finds free slots around busy time", async () => {
+      const { isError, data, text } = await server.call("find_free_slots", {
+        after: "2030-05-08T12:00:00Z",
+        before: "2030-05-08T17:00:00Z",
+        minDuration: "PT30M",
+      });
+      assert.equal(isError, false, text);
+      const busy = { start: Date.parse("2030-05-08T14:00:00Z"), end: Date.parse("2030-05-08T15:00:00Z") };
+      const slots = data.map((slot) => ({ start: Date.parse(slot.start), end: Date.parse(slot.end) }));
+      assert.ok(slots.length > 0);
+      assert.ok(slots.every((slot) => slot.end <= busy.start || slot.start >= busy.end));
+    });
+
+    test("rejects slot lengths that aren't positive durations", async () => {
+      for (const [minDuration, maxDuration] of [["PT0M", "PT0M"], ["30m", undefined], ["PT30M", "2h"]]) {
+        const { isError, text } = await server.call("find_free_slots", {
+          after: "2030-05-08T12:00:00Z",
+          before: "2030-05-08T17:00:00Z",
+          minDuration,
+          maxDuration,
+        });
+        assert.equal(isError, true, `${minDuration}/${maxDuration}`);
+        assert.match(text, /duration/i);
+      }
+    });
+  });
+}
+
+test("loads the events near a query first and skips unchanged calendars", async () => {
+  const mock = await startMockCalDAV({ syncCollection: false });
+  mock.putObject(
+    "personal",
+    "archived.ics",
+    eventICS({ uid: "archived", summary: "Archived", start: "20100503T140000Z", end: "20100503T150000Z" })
+  );
+  mock.putObject(
+    "personal",
+    "planned.ics",
+    eventICS({ uid: "planned", summary: "Planned", start: "20300503T140000Z", end: "20300503T150000Z" })
+  );
+  const server = await startServer(mockAccountEnv(mock));
+  const downloads = (from) =>
+    mock.requests
+      .slice(from)
+      .filter((r) => r.method === "REPORT" && r.body.includes("calendar-multiget"))
+      .map((r) => r.body);
+  try {
+    const planned = await server.call("get_events", RANGE);
+    assert.equal(planned.data.length, 1);
+    assert.match(planned.data[0].title, /Planned$/);
+    assert.ok(!downloads(0).some((body) => body.includes("archived.ics")));
+
+    const seen = mock.requests.length;
+    const again = await server.call("get_events", RANGE);
+    assert.equal(again.data.length, 1);
+    assert.ok(!mock.requests.slice(seen).some((r) => r.method === "REPORT"), "the ctag hasn't changed");
+
+    const archived = await server.call("get_events", {
+      after: "2010-05-01T00:00:00Z",
+      before: "2010-06-01T00:00:00Z",
+    });
+    assert.equal(archived.data.length, 1);
+    assert.match(archived.data[0].title, /Archived$/);
+    assert.equal(downloads(seen).length, 1);
+  } finally {
+    await server.close();
+    await mock.close();
+  }
+});
+
+test("downloads only what changed, and starts over when the sync token expires", async () => {
+  const mock = await startMockCalDAV();
+  for (const uid of ["first", "second"]) {
+    mock.putObject(
+      "personal",
+      `${uid}.ics`,
+      eventICS({ uid, summary: uid, start: "20300504T140000Z", end: "20300504T150000Z" })
+    );
+  }
+  const server = await startServer(mockAccountEnv(mock));
+  const reports = (from) => mock.requests.slice(from).filter((r) => r.method === "REPORT");
+  const titles = async () => {
+    const { data, text } = await server.call("get_events", RANGE);
+    assert.ok(data, text);
+    return data.map((e) => e.title.split(": ").pop()).sort();
+  };
+  try {
+    assert.deepEqual(await titles(), ["first", "second"]);
+
+    let seen = mock.requests.length;
+    mock.putObject(
+      "personal",
+      "first.ics",
+      eventICS({ uid: "first", summary: "first (edited)", start: "20300504T140000Z", end: "20300504T150000Z" })
+    );
+    assert.deepEqual(await titles(), ["first (edited)", "second"]);
+    const [sync, multiget] = reports(seen);
+    assert.match(sync.body, /sync-collection/);
+    assert.match(multiget.body, /first\.ics/);
+    assert.doesNotMatch(multiget.body, /second\.ics/);
+
+    seen = mock.requests.length;
+    mock.expireSyncTokens("personal");
+    mock.deleteObject("personal", "second.ics");
+    assert.deepEqual(await titles(), ["first (edited)"]);
+    // The rejected sync is followed by a fresh listing of the calendar
+    assert.match(reports(seen)[0].body, /sync-collection/);
+    assert.ok(reports(seen).slice(1).some((r) => /calendar-query/.test(r.body)));
+  } finally {
+    await server.close();
+    await mock.close();
+  }
+});
+
+test("moves by copy and delete where MOVE is refused, and copies series to a new start", async () => {
+  const mock = await startMockCalDAV({
+    calendars: [
+      { id: "personal", displayName: "Personal" },
+      { id: "work", displayName: "Work" },
+    ],
+    rejectWrites: ({ method }) => method === "MOVE" && 501,
+  });
+  mock.putObject(
+    "personal",
+    "seminar.ics",
+    [
+      "BEGIN:VCALENDAR",
+      "VERSION:2.0",
+      "PRODID:-//Other Client//EN",
+      "BEGIN:VEVENT",
+      "UID:seminar",
+      "DTSTAMP:20300101T000000Z",
+      "DTSTART;TZID=America/New_York:20300304T090000",
+      "DTEND;TZID=America/New_York:20300304T100000",
+      "RRULE:FREQ=WEEKLY;COUNT=4",
+      "EXDATE;TZID=America/New_York:20300311T090000",
+      "SUMMARY:Seminar",
+      "ORGANIZER:mailto:alice@example.com",
+      "ATTENDEE;PARTSTAT=NEEDS-ACTION:mailto:bob@example.com",
+      "END:VEVENT",
+      "BEGIN:VEVENT",
+      "UID:seminar",
+      "DTSTAMP:20300101T000000Z",
+      "RECURRENCE-ID;TZID=America/New_York:20300318T090000",
+      "DTSTART;TZID=America/New_York:20300318T110000",
+      "DTEND;TZID=America/New_York:20300318T120000",
+      "SUMMARY:Seminar (late)",
+      "END:VEVENT",
+      "END:VCALENDAR",
+      "",
+    ].join("\r\n")
+  );
+  const server = await startServer(mockAccountEnv(mock));
+  try {
+    const moved = await server.call("move_event", {
+      eventUrl: `${mock.calendarUrl("personal")}seminar.ics`,
+      calendarUrl: mock.calendarUrl("work"),
+    });
+    assert.equal(moved.isError, false, moved.text);
+    assert.ok(mock.requests.some((r) => r.method === "MOVE"));
+    assert.equal(mock.getObject("personal", "seminar.ics"), undefined);
+    const original = mock.getObject("work", "seminar.ics").data;
+    assert.match(original, /^UID:seminar\r$/m);
+
+    // A week later: the excluded and moved occurrences shift with the series
+    const copied = await server.call("copy_event", {
+      eventUrl: moved.data.url,
+      calendarUrl: mock.calendarUrl("personal"),
+      start: "2030-03-11T09:00:00",
+    });
+    assert.equal(copied.isError, false, copied.text);
+    const url = copied.data.url;
+    const { data } = mock.getObject("personal", url.substring(url.lastIndexOf("/") + 1));
+    assert.doesNotMatch(data, /UID:seminar\r/);
+    assert.doesNotMatch(data, /ATTENDEE|ORGANIZER/);
+    assert.match(data, /^DTSTART;TZID=America\/New_York:20300311T090000\r$/m);
+    assert.match(data, /^EXDATE;TZID=America\/New_York:20300318T090000\r$/m);
+    assert.match(data, /^RECURRENCE-ID;TZID=America\/New_York:20300325T090000\r$/m);
+    assert.match(data, /^DTSTART;TZID=America\/New_York:20300325T110000\r$/m);
+    assert.equal(mock.getObject("work", "seminar.ics").data, original);
+  } finally {
+    await server.close();
+    await mock.close();
+  }
+});
@@ -0,0 +1,165 @@
+import { after, before, test } from "node:test";
+import assert from "node:assert/strict";
+import { startMockCalDAV } from "./mock-caldav-server.js";
+import { eventICS, mockAccountEnv, startServer } from "./helpers.js";
+
+const RANGE = { after: "2030-05-08T13:00:00Z", before: "2030-05-08T21:00:00Z" };
+
+let mock;
+let server;
+
+before(async () => {
+  mock = await startMockCalDAV({
+    calendars: [
+      { id: "personal", displayName: "Personal" },
+      { id: "team", displayName: "Team (shared)" },
+    ],
+    freeBusy: { "bob@example.com": ["20300508T150000Z/PT1H", "20300508T155000Z/20300508T163000Z"] },
+  });
+  mock.putObject(
+    "personal",
+    "review.ics",
+    eventICS({ uid: "review", summary: "Review", start: "20300508T140000Z", end: "20300508T143000Z" })
+  );
+  mock.putObject(
+    "team",
+    "offsite.ics",
+    eventICS({ uid: "offsite", summary: "Offsite", start: "20300508T180000Z", end: "20300508T190000Z" })
+  );
+  server = await startServer(mockAccountEnv(mock, { FASTMAIL_ADDRESSES: "alice@example.com" }));
+});
+
+after(async () => {
+  await server.close();
+  await mock.close();
+});
+
+test("merges busy time from the outbox and free-busy-query", async () => {
+  const { isError, data, text } = await server.call("get_free_busy", {
+    ...RANGE,
+    attendees: ["bob@example.com", "nobody@example.com"],
+    calendarUrls: [mock.calendarUrl("team")],
+  });
+  assert.equal(isError, false, text);
+  assert.deepEqual(
+    data.busy.map((b) => [b.start, b.end]),
+    [
+      ["2030-05-08T15:00:00.000Z", "2030-05-08T16:30:00.000Z"],
+      ["2030-05-08T18:00:00.000Z", "2030-05-08T19:00:00.000Z"],
+    ]
+  );
+  const unknown = data.sources.find((s) => s.attendee === "nobody@example.com");
+  assert.match(unknown.error, /^3\.7/);
+
+  const post = mock.requests.find((r) => r.method === "POST");
+  assert.equal(post.path, "/dav/outbox/alice/");
+  assert.match(post.body, /METHOD:REQUEST[\s\S]*BEGIN:VFREEBUSY/);
+  assert.match(post.body, /ORGANIZER:mailto:alice@example.com/);
+  // Only free/busy is asked for, never the shared calendar's events
+  assert.ok(!mock.requests.some((r) => r.method === "GET" && r.path.includes("/team/")));
+});
+
+test("finds slots where we and the attendees are all free", async () => {
+  const { isError, data, text } = await server.call("get_free_busy", {
+    ...RANGE,
+    attendees: ["bob@example.com"],
+    mode: "find_common_slots",
+    minDuration: "PT30M",
+  });
+  assert.equal(isError, false, text);
+  assert.deepEqual(
+    data.slots.map((s) => [s.start, s.end]),
+    [
+      ["2030-05-08T13:00:00.000Z", "2030-05-08T14:00:00.000Z"],
+      ["2030-05-08T14:30:00.000Z", "2030-05-08T15:00:00.000Z"],
+      // The team calendar is in our home, so its offsite is our busy time too
+      ["2030-05-08T16:30:00.000Z", "2030-05-08T18:00:00.000Z"],
+      ["2030-05-08T19:00:00.000Z", "2030-05-08T21:00:00.000Z"],
+    ]
+  );
+});
+
+test("requires something to look up over a valid range", async () => {
+  const { isError, text } = await server.call("get_free_busy", RANGE);
+  assert.equal(isError, true);
+  assert.match(text, /attendees or calendarUrls/);
+
+  const requests = mock.requests.length;
+  const invalid = await server.call("get_free_busy", {
+    after: "next week",
+    before: RANGE.before,
+    attendees: ["bob@example.com"],
+  });
+  assert.equal(invalid.isError, true);
+  assert.match(invalid.text, /Invalid date range/);
+  assert.equal(mock.requests.length, requests);
+});
+
+test("offers spread-out slots with holds and releases the ones not chosen", async () => {
+  const offered = await server.call("offer_slots", {
+    duration: "PT1H",
+    after: "2030-05-06T00:00:00Z",
+    before: "2030-05-11T00:00:00Z",
+    workingHours: [{ days: ["MO", "TU", "WE", "TH", "FR"], start: "09:00", end: "17:00" }],
+    title: "Intro call",
+    hold: true,
+    calendarUrl: mock.calendarUrl("personal"),
+  });
+  assert.equal(offered.isError, false, offered.text);
+  const { offerId, slots } = offered.data;
+  assert.equal(slots.length, 3);
+  assert.equal(new Set(slots.map((s) => s.startLocal.substring(0, 10))).size, 3);
+  assert.match(offered.text, /^1\. Monday, May 6, 9:00/m);
+  const [attachment] = offered.resources;
+  assert.equal(attachment.mimeType, "text/calendar");
+  assert.equal(attachment.text.match(/^FREEBUSY;FBTYPE=FREE:/gm).length, 3);
+
+  const holdName = (slot) => slot.holdUrl.substring(slot.holdUrl.lastIndexOf("/") + 1);
+  assert.match(mock.getObject("personal", holdName(slots[0])).data, /STATUS:TENTATIVE/);
+
+  const confirmed = await server.call("confirm_offer", { offerId, slot: 2 });
+  assert.equal(confirmed.isError, false, confirmed.text);
+  assert.equal(confirmed.data.released.length, 2);
+  const { data } = mock.getObject("personal", holdName(slots[1]));
+  assert.match(data, /SUMMARY:Intro call\r\n/);
+  assert.match(data, /STATUS:CONFIRMED/);
+  assert.equal(mock.getObject("personal", holdName(slots[0])), undefined);
+  assert.equal(mock.getObject("personal", holdName(slots[2])), undefined);
+
+  const again = await server.call("confirm_offer", { offerId, slot: 1 });
+  assert.equal(again.isError, true);
+  assert.match(again.text, /no longer exists/);
+});
+
+test("holds block their time for later offers and new events", async () => {
+  const offer = (extra) =>
+    server.call("offer_slots", {
+      duration: "PT1H",
+      after: "2030-05-13T00:00:00Z",
+      before: "2030-05-15T00:00:00Z",
+      workingHours: [{ days: ["MO", "TU", "WE", "TH", "FR"], start: "09:00", end: "12:00" }],
+      ...extra,
+    });
+  const first = await offer({ hold: true, calendarUrl: mock.calendarUrl("personal") });
+  assert.equal(first.isError, false, first.text);
+  const second = await offer({ count: 4 });
+  assert.equal(second.isError, false, second.text);
+
+  const overlaps = (a, b) =>
+    Date.parse(a.start) < Date.parse(b.end) && Date.parse(b.start) < Date.parse(a.end);
+  assert.ok(second.data.slots.length > 0);
+  assert.ok(!second.data.slots.some((slot) => first.data.slots.some((held) => overlaps(slot, held))));
+
+  const [held] = first.data.slots;
+  const created = await server.call("create_event", {
+    title: "Double booked",
+    start: held.start,
+    end: held.end,
+    calendarUrl: mock.calendarUrl("personal"),
+  });
+  assert.equal(created.isError, false, created.text);
+  assert.equal(created.data.conflicts?.length, 1);
+
+  const released = await server.call("confirm_offer", { offerId: first.data.offerId });
+  assert.equal(released.data.released.length, first.data.slots.length);
+});
@@ -0,0 +1,92 @@
+/**
+ * Test helpers: run the MCP server as a child process against a mock
+ * CalDAV server, and call its tools over stdio.
+ */
+
+import { mkdtempSync, rmSync } from "fs";
+import { tmpdir } from "os";
+import { join } from "path";
+import { fileURLToPath } from "url";
+import { Client } from "@modelcontextprotocol/sdk/client/index.js";
+import { StdioClientTransport } from "@modelcontextprotocol/sdk/client/stdio.js";
+
+export const SERVER_PATH = fileURLToPath(
+  new URL("../servers/fastmail-calendar-server.js", import.meta.url)
+);
+
+/**
+ * Start the MCP server with `env` (on top of a private journal, no accounts
+ * file unless `env` names one, and a fixed timezone) and connect a client
+ * to it. Returns { client, call, close }.
+ */
+export async function startServer(env) {
+  const dir = mkdtempSync(join(tmpdir(), "calendar-test-"));
+  const transport = new StdioClientTransport({
+    command: process.execPath,
+    args: [SERVER_PATH],
+    env: {
+      FASTMAIL_TIMEZONE: "America/New_York",
+      FASTMAIL_JOURNAL_PATH: join(dir, "journal.jsonl"),
+      FASTMAIL_ACCOUNTS_PATH: join(dir, "accounts.json"),
+      ...env,
+    },
+    stderr: "pipe",
+  });
+  const client = new Client({ name: "calendar-tests", version: "1.0.0" });
+  await client.connect(transport);
+
+  return {
+    client,
+    /**
+     * Call a tool; returns { text, isError, data, resources } with the JSON
+     * part of the reply parsed and any embedded resources (attachments).
+     */
+    async call(name, args = {}) {
+      const result = await client.callTool({ name, arguments: args });
+      const text = result.content
+        .filter((part) => part.type === "text")
+        .map((part) => part.text)
+        .join("\n");
+      const start = text.search(/^[[{]/m);
+      return {
+        text,
+        isError: Boolean(result.isError),
+        data: start === -1 ? null : JSON.parse(text.substring(start)),
+        resources: result.content.filter((part) => part.type === "resource").map((part) => part.resource),
+      };
+    },
+    async close() {
+      await client.close();
+      rmSync(dir, { recursive: true, force: true });
+    },
+  };
+}
+
+/** Environment for an account on the mock server with its default basic auth. */
+export function mockAccountEnv(mock, overrides = {}) {
+  return {
+    CALDAV_SERVER_URL: mock.url,
+    CALDAV_USERNAME: "alice@example.com",
+    CALDAV_PASSWORD: "secret",
+    ...overrides,
+  };
+}
+
+/** A minimal VCALENDAR with one VEVENT, as another client would write it. */
+export function eventICS({ uid, summary, start, end, extra = [] }) {
+  return [
+    "BEGIN:VCALENDAR",
+    "VERSION:2.0",
+    "PRODID:-//Other Client//EN",
+    "BEGIN:VEVENT",
+    `UID:${uid}`,
+    "DTSTAMP:20300101T000000Z",
+    `DTSTART:${start}`,
+    `DTEND:${end}`,
+    `SUMMARY:${summary}`,
+    ...extra,
+    "END:VEVENT",
+    "END:VCALENDAR",
+    "",
+  ].join("\r\n");
+}
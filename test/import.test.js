@@ -0,0 +1,119 @@
+import { after, before, test } from "node:test";
+import assert from "node:assert/strict";
+import { mkdtemp, readFile, rm, writeFile } from "node:fs/promises";
+import { tmpdir } from "node:os";
+import { join } from "node:path";
+import { startMockCalDAV } from "./mock-caldav-server.js";
+import { eventICS, mockAccountEnv, startServer } from "./helpers.js";
+
+let mock;
+let server;
+
+before(async () => {
+  mock = await startMockCalDAV();
+  server = await startServer(mockAccountEnv(mock));
+});
+
+after(async () => {
+  await server.close();
+  await mock.close();
+});
+
+test("imports an .ics file once and exports it with its time zones", async () => {
+  const ics = eventICS({
+    uid: "talk@conference",
+    summary: "Keynote",
+    start: "20300910T090000Z",
+    end: "20300910T100000Z",
+  })
+    .replace(
+      "BEGIN:VEVENT",
+      [
+        "BEGIN:VEVENT",
+        "UID:panel@conference",
+        "DTSTAMP:20300101T000000Z",
+        "DTSTART;TZID=Europe/Berlin:20300911T140000",
+        "DTEND;TZID=Europe/Berlin:20300911T150000",
+        "SUMMARY:Panel",
+        "END:VEVENT",
+        "BEGIN:VEVENT",
+      ].join("\r\n")
+    );
+  const calendarUrl = mock.calendarUrl("personal");
+
+  const preview = await server.call("import_ics", { calendarUrl, ics, dryRun: true });
+  assert.equal(preview.isError, false, preview.text);
+  assert.deepEqual(preview.data.summary, { create: 2, replace: 0, skip: 0 });
+  assert.equal(mock.getObject("personal", "talk@conference.ics"), undefined);
+
+  const imported = await server.call("import_ics", { calendarUrl, ics });
+  assert.deepEqual(imported.data.summary, { create: 2, replace: 0, skip: 0 });
+  assert.match(mock.getObject("personal", "panel@conference.ics").data, /TZID:Europe\/Berlin/);
+
+  const again = await server.call("import_ics", { calendarUrl, ics });
+  assert.deepEqual(again.data.summary, { create: 0, replace: 0, skip: 2 });
+
+  const exported = await server.call("export_ics", {
+    after: "2030-09-01T00:00:00Z",
+    before: "2030-10-01T00:00:00Z",
+  });
+  assert.equal(exported.isError, false, exported.text);
+  assert.equal(exported.data.events, 2);
+  assert.deepEqual(exported.data.timeZones, ["Europe/Berlin"]);
+  assert.match(exported.data.ics, /BEGIN:VCALENDAR[\s\S]*BEGIN:VTIMEZONE[\s\S]*END:VCALENDAR/);
+
+  const undone = await server.call("undo_change", { changeId: imported.data.changeId });
+  assert.equal(undone.isError, false, undone.text);
+  assert.equal(mock.getObject("personal", "talk@conference.ics"), undefined);
+});
+
+test("replaces events on re-import from a file and exports a calendar to a file", async () => {
+  const calendarUrl = mock.calendarUrl("personal");
+  mock.putObject(
+    "personal",
+    "roster-shift.ics",
+    eventICS({ uid: "shift@roster", summary: "Shift", start: "20301104T140000Z", end: "20301104T220000Z" })
+  );
+  const dir = await mkdtemp(join(tmpdir(), "fastmail-ics-"));
+  try {
+    const source = join(dir, "roster.ics");
+    await writeFile(
+      source,
+      eventICS({ uid: "shift@roster", summary: "Late shift", start: "20301104T180000Z", end: "20301105T020000Z" }).replace(
+        "BEGIN:VEVENT",
+        [
+          "BEGIN:VEVENT",
+          "UID:handover@roster",
+          "DTSTAMP:20300101T000000Z",
+          "DTSTART;TZID=Europe/Berlin:20301105T090000",
+          "DTEND;TZID=Europe/Berlin:20301105T093000",
+          "SUMMARY:Handover",
+          "END:VEVENT",
+          "BEGIN:VEVENT",
+        ].join("\r\n")
+      )
+    );
+    const imported = await server.call("import_ics", { calendarUrl, path: source, onExisting: "replace" });
+    assert.equal(imported.isError, false, imported.text);
+    assert.deepEqual(imported.data.summary, { create: 1, replace: 1, skip: 0 });
+    // The existing resource is overwritten in place rather than duplicated
+    const replaced = imported.data.items.find((item) => item.action === "replace");
+    assert.equal(replaced.url, `${calendarUrl}roster-shift.ics`);
+    assert.match(mock.getObject("personal", "roster-shift.ics").data, /^SUMMARY:Late shift\r$/m);
+    assert.equal(mock.getObject("personal", "shift@roster.ics"), undefined);
+
+    const target = join(dir, "personal.ics");
+    const exported = await server.call("export_ics", { calendarUrl, path: target });
+    assert.equal(exported.isError, false, exported.text);
+    assert.equal(exported.data.path, target);
+    assert.equal(exported.data.ics, undefined);
+    const written = await readFile(target, "utf8");
+    assert.equal(exported.data.bytes, Buffer.byteLength(written));
+    assert.match(written, /^BEGIN:VCALENDAR\r\n[\s\S]*END:VCALENDAR\r\n$/);
+    assert.match(written, /^UID:shift@roster\r$/m);
+    assert.match(written, /^UID:handover@roster\r$/m);
+    assert.match(written, /^BEGIN:VTIMEZONE\r\nTZID:Europe\/Berlin\r$/m);
+  } finally {
+    await rm(dir, { recursive: true, force: true });
+  }
+});
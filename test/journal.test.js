@@ -0,0 +1,179 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { mkdtempSync, readFileSync, rmSync } from "fs";
+import { tmpdir } from "os";
+import { join } from "path";
+import { startMockCalDAV } from "./mock-caldav-server.js";
+import { mockAccountEnv, startServer } from "./helpers.js";
+
+/** Create an event in the mock's personal calendar; returns the tool's data. */
+async function createBlock(server, mock, title) {
+  const created = await server.call("create_event", {
+    title,
+    start: "2030-05-06T09:00:00",
+    end: "2030-05-06T10:00:00",
+    calendarUrl: mock.calendarUrl("personal"),
+  });
+  assert.equal(created.isError, false, created.text);
+  return created.data;
+}
+
+const objectName = (url) => url.substring(url.lastIndexOf("/") + 1);
+
+test("undoes writes on a server that rewrites what it stores", async () => {
+  const mock = await startMockCalDAV({ reserialize: true });
+  const server = await startServer(mockAccountEnv(mock));
+  try {
+    const { url, changeId } = await createBlock(server, mock, "Rewritten");
+    assert.match(mock.getObject("personal", objectName(url)).data, /PRODID:-\/\/Mock CalDAV/);
+
+    const undone = await server.call("undo_change", { changeId });
+    assert.equal(undone.isError, false, undone.text);
+    assert.equal(mock.getObject("personal", objectName(url)), undefined);
+    const del = mock.requests.find((r) => r.method === "DELETE");
+    assert.ok(del.headers["if-match"], "the undo is conditional");
+  } finally {
+    await server.close();
+    await mock.close();
+  }
+});
+
+test("without ETags, undo compares the stored data", async () => {
+  const mock = await startMockCalDAV({ reserialize: true, etagHeaders: false });
+  const server = await startServer(mockAccountEnv(mock));
+  try {
+    const first = await createBlock(server, mock, "Untouched");
+    const undone = await server.call("undo_change", { changeId: first.changeId });
+    assert.equal(undone.isError, false, undone.text);
+    assert.equal(mock.getObject("personal", objectName(first.url)), undefined);
+
+    const second = await createBlock(server, mock, "Edited elsewhere");
+    const name = objectName(second.url);
+    const { data } = mock.getObject("personal", name);
+    mock.putObject("personal", name, data.replace("Edited elsewhere", "Renamed"));
+    const refused = await server.call("undo_change", { changeId: second.changeId });
+    assert.equal(refused.isError, true);
+    assert.match(refused.text, /changed on the server since/);
+  } finally {
+    await server.close();
+    await mock.close();
+  }
+});
+
+test("journals every write and undoes it while the event is unchanged", async () => {
+  const mock = await startMockCalDAV();
+  const dir = mkdtempSync(join(tmpdir(), "calendar-journal-"));
+  const journalPath = join(dir, "journal.jsonl");
+  const server = await startServer(mockAccountEnv(mock, { FASTMAIL_JOURNAL_PATH: journalPath }));
+  try {
+    const { url, changeId: created } = await createBlock(server, mock, "Planning");
+    const name = objectName(url);
+    const original = mock.getObject("personal", name).data;
+    const updated = await server.call("update_event", { eventUrl: url, title: "Replanning" });
+    assert.equal(updated.isError, false, updated.text);
+    const deleted = await server.call("delete_event", { eventUrl: url });
+    assert.equal(deleted.isError, false, deleted.text);
+    assert.equal(mock.getObject("personal", name), undefined);
+
+    // Before and after data, URL and ETags for each write, oldest first
+    const records = readFileSync(journalPath, "utf8").trim().split("\n").map((line) => JSON.parse(line));
+    assert.deepEqual(
+      records.map((r) => [r.label, r.steps[0].method, r.steps[0].url]),
+      [
+        ["create_event", "PUT", url],
+        ["update_event", "PUT", url],
+        ["delete_event", "DELETE", url],
+      ]
+    );
+    assert.equal(records[0].steps[0].before, null);
+    assert.equal(records[0].steps[0].after, original);
+    assert.equal(records[1].steps[0].etagBefore, records[0].steps[0].etagAfter);
+    assert.match(records[2].steps[0].before, /SUMMARY:Replanning/);
+    assert.equal(records[2].steps[0].after, null);
+
+    const listed = await server.call("list_recent_changes", { eventUrl: url });
+    assert.ok(listed.data, listed.text);
+    assert.deepEqual(
+      listed.data.map((c) => [c.label, c.changes[0].action, c.changes[0].title.split(": ").pop()]),
+      [
+        ["delete_event", "deleted", "Replanning"],
+        ["update_event", "updated", "Replanning"],
+        ["create_event", "created", "Planning"],
+      ]
+    );
+
+    // Older changes can't be undone over the newer ones
+    const stale = await server.call("undo_change", { changeId: created });
+    assert.equal(stale.isError, true);
+    assert.match(stale.text, /has changed on the server since/);
+
+    const recreated = await server.call("undo_change", { changeId: deleted.data.changeId });
+    assert.equal(recreated.isError, false, recreated.text);
+    assert.match(mock.getObject("personal", name).data, /SUMMARY:Replanning/);
+    const restored = await server.call("undo_change", { changeId: updated.data.changeId });
+    assert.equal(restored.isError, false, restored.text);
+    assert.equal(mock.getObject("personal", name).data, original);
+
+    const again = await server.call("undo_change", { changeId: updated.data.changeId });
+    assert.equal(again.isError, true);
+    assert.match(again.text, /already been undone/);
+    const [latest] = (await server.call("list_recent_changes", { limit: 1 })).data;
+    assert.equal(latest.undoes, updated.data.changeId);
+  } finally {
+    await server.close();
+    await mock.close();
+    rmSync(dir, { recursive: true, force: true });
+  }
+});
+
+test("journals what a failed rollback leaves behind", async () => {
+  let failing = false;
+  const mock = await startMockCalDAV({
+    // The original series can't be updated, nor the new one deleted again
+    rejectWrites: ({ method, body }) =>
+      failing && (method === "DELETE" || (method === "PUT" && body.includes("UNTIL="))),
+  });
+  const server = await startServer(mockAccountEnv(mock));
+  try {
+    const created = await server.call("create_event", {
+      title: "Reading group",
+      start: "2030-05-06T09:00:00",
+      end: "2030-05-06T10:00:00",
+      recurrence: { frequency: "weekly", count: 4 },
+      calendarUrl: mock.calendarUrl("personal"),
+    });
+    assert.equal(created.isError, false, created.text);
+    const original = mock.getObject("personal", objectName(created.data.url)).data;
+
+    failing = true;
+    const split = await server.call("update_event", {
+      eventUrl: created.data.url,
+      title: "Reading club",
+      scope: "following",
+      recurrenceId: "2030-05-20T13:00:00.000Z",
+    });
+    assert.equal(split.isError, true);
+    assert.match(split.text, /rollback also failed: Failed to delete event \(507\)/);
+    const { objects } = mock.collections.get(new URL(mock.calendarUrl("personal")).pathname);
+    const leftover = [...objects.keys()].find((name) => name !== objectName(created.data.url));
+    assert.match(split.text, new RegExp(`resources left modified: \\[[^\\]]*${leftover}\\]`));
+    assert.equal(mock.getObject("personal", objectName(created.data.url)).data, original);
+
+    const [latest] = (await server.call("list_recent_changes", { limit: 1 })).data;
+    assert.equal(latest.label, "update_event");
+    assert.equal(latest.incomplete, true);
+    assert.match(latest.error, /rollback also failed/);
+    assert.deepEqual(
+      latest.changes.map((c) => [c.action, objectName(c.url)]),
+      [["created", leftover]]
+    );
+
+    failing = false;
+    const undone = await server.call("undo_change", { changeId: latest.id });
+    assert.equal(undone.isError, false, undone.text);
+    assert.equal(mock.getObject("personal", leftover), undefined);
+  } finally {
+    await server.close();
+    await mock.close();
+  }
+});
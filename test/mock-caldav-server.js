@@ -0,0 +1,569 @@
+/**
+ * In-process mock CalDAV server for the test suite.
+ *
+ * Implements the parts of WebDAV/CalDAV the MCP server uses: discovery
+ * (/.well-known/caldav, current-user-principal, calendar-home-set),
+ * PROPFIND, calendar-query, calendar-multiget, sync-collection and
+ * free-busy-query REPORTs, GET/PUT/DELETE/MOVE with ETag preconditions,
+ * MKCALENDAR, PROPPATCH, and free/busy requests POSTed to the outbox.
+ * Filters are applied loosely (component type, text-match and a rough time
+ * range); the server filters results again locally, so a superset is fine.
+ */
+
+import { createServer } from "http";
+import { randomUUID } from "crypto";
+
+const NAMESPACES =
+  'xmlns:d="DAV:" xmlns:c="urn:ietf:params:xml:ns:caldav" ' +
+  'xmlns:cs="http://calendarserver.org/ns/" xmlns:ca="http://apple.com/ns/ical/"';
+
+/** Escape text for an XML element. */
+function escapeXML(value) {
+  return String(value)
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;");
+}
+
+/** Local names of the properties requested in a PROPFIND/REPORT <prop>, or null for allprop. */
+function requestedProps(body) {
+  const block = body.match(/<(?:[\w-]+:)?prop>([\s\S]*?)<\/(?:[\w-]+:)?prop>/);
+  if (!block) return null;
+  return [...block[1].matchAll(/<(?:[\w-]+:)?([\w-]+)[\s/>]/g)].map((m) => m[1]);
+}
+
+/** Text of every element with a local name in a request body. */
+function elementTexts(body, name) {
+  const pattern = new RegExp(`<(?:[\\w-]+:)?${name}(?:\\s[^>]*)?>([\\s\\S]*?)</(?:[\\w-]+:)?${name}>`, "g");
+  return [...body.matchAll(pattern)].map((m) => m[1].trim());
+}
+
+/** A <d:response> with the found properties, and the rest as 404. */
+function propResponse(href, props, requested) {
+  const names = requested ?? Object.keys(props);
+  const found = names.filter((name) => props[name] !== undefined);
+  const missing = names.filter((name) => props[name] === undefined);
+  const propstat = (elements, status) =>
+    `<d:propstat><d:prop>${elements}</d:prop><d:status>HTTP/1.1 ${status}</d:status></d:propstat>`;
+  return (
+    `<d:response><d:href>${escapeXML(href)}</d:href>` +
+    (found.length > 0 ? propstat(found.map((name) => props[name]).join(""), "200 OK") : "") +
+    (missing.length > 0
+      ? propstat(missing.map((name) => `<d:${name}/>`).join(""), "404 Not Found")
+      : "") +
+    "</d:response>"
+  );
+}
+
+function multistatus(responses, extra = "") {
+  return `<?xml version="1.0" encoding="utf-8"?>\n<d:multistatus ${NAMESPACES}>${responses.join("")}${extra}</d:multistatus>`;
+}
+
+/**
+ * Start a mock CalDAV server on a free local port.
+ *
+ * Options:
+ * - `auth` — { method: "basic", username, password } (default),
+ *   { method: "bearer", token } or { method: "none" }
+ * - `wellKnown` — Redirect /.well-known/caldav to the DAV root (default true)
+ * - `syncCollection` — Advertise and answer sync-collection (default true)
+ * - `calendars` — [{ id, displayName, color, description, components }]
+ * - `reserialize` — Store PUT bodies the way many servers do: with the
+ *   server's own PRODID, and without an ETag in the PUT/MOVE response
+ * - `etagHeaders` — Send ETag headers on GET/PUT/MOVE (default true; the
+ *   getetag property is always there)
+ * - `freeBusy` — Outbox answers: email → FREEBUSY period values (e.g.
+ *   "20300508T150000Z/PT1H"); other addresses get "3.7;Invalid calendar user"
+ * - `rejectWrites` — ({ method, path, body }) → true to answer that PUT,
+ *   DELETE or MOVE with 507 Insufficient Storage as a failing server would,
+ *   or another status code to answer with instead
+ *
+ * Returns { url, rootUrl, principalUrl, homeUrl, calendarUrl(id),
+ * requests, putObject, getObject, deleteObject, expireSyncTokens,
+ * calendars, close }.
+ */
+export async function startMockCalDAV({
+  auth = { method: "basic", username: "alice@example.com", password: "secret" },
+  wellKnown = true,
+  syncCollection = true,
+  calendars = [{ id: "personal", displayName: "Personal", components: ["VEVENT", "VTODO"] }],
+  reserialize = false,
+  etagHeaders = true,
+  freeBusy = {},
+  rejectWrites = () => false,
+} = {}) {
+  const root = "/dav/";
+  const principal = "/dav/principals/alice/";
+  const home = "/dav/calendars/alice/";
+  const outbox = "/dav/outbox/alice/";
+  const requests = [];
+
+  // path → { displayName, color, description, components, objects, ctag, changes }
+  const collections = new Map();
+  let changeCounter = 0;
+
+  function addCalendar({ id, displayName, color, description, components = ["VEVENT", "VTODO"] }) {
+    collections.set(`${home}${id}/`, {
+      displayName,
+      color,
+      description,
+      components,
+      objects: new Map(),
+      ctag: ++changeCounter,
+      changes: [],
+      // Sync tokens older than this are expired
+      syncFloor: 0,
+    });
+  }
+  calendars.forEach(addCalendar);
+
+  /** Record a change to an object, for the ctag and sync-collection. */
+  function touch(collection, name, deleted = false) {
+    collection.ctag = ++changeCounter;
+    collection.changes.push({ token: changeCounter, name, deleted });
+  }
+
+  function storeObject(collection, name, data) {
+    const etag = `"${randomUUID()}"`;
+    collection.objects.set(name, { data, etag });
+    touch(collection, name);
+    return etag;
+  }
+
+  /** Split a path into its collection and object name. */
+  function locate(path) {
+    const index = path.lastIndexOf("/") + 1;
+    const collection = collections.get(path.substring(0, index));
+    return { collection, name: decodeURIComponent(path.substring(index)) };
+  }
+
+  function authorized(req) {
+    const header = req.headers.authorization || "";
+    if (auth.method === "none") return true;
+    if (auth.method === "bearer") return header === `Bearer ${auth.token}`;
+    const expected = Buffer.from(`${auth.username}:${auth.password}`).toString("base64");
+    return header === `Basic ${expected}`;
+  }
+
+  function collectionProps(path, collection) {
+    return {
+      displayname: `<d:displayname>${escapeXML(collection.displayName ?? "")}</d:displayname>`,
+      resourcetype: "<d:resourcetype><d:collection/><c:calendar/></d:resourcetype>",
+      "supported-calendar-component-set":
+        "<c:supported-calendar-component-set>" +
+        collection.components.map((name) => `<c:comp name="${name}"/>`).join("") +
+        "</c:supported-calendar-component-set>",
+      getctag: `<cs:getctag>${collection.ctag}</cs:getctag>`,
+      "sync-token": syncCollection
+        ? `<d:sync-token>http://mock/sync/${collection.ctag}</d:sync-token>`
+        : undefined,
+      "calendar-color": collection.color
+        ? `<ca:calendar-color>${escapeXML(collection.color)}</ca:calendar-color>`
+        : undefined,
+      "calendar-description": collection.description
+        ? `<c:calendar-description>${escapeXML(collection.description)}</c:calendar-description>`
+        : undefined,
+      "current-user-privilege-set":
+        "<d:current-user-privilege-set><d:privilege><d:read/></d:privilege>" +
+        "<d:privilege><d:write/></d:privilege></d:current-user-privilege-set>",
+      "supported-report-set":
+        "<d:supported-report-set>" +
+        ["c:calendar-query", "c:calendar-multiget", ...(syncCollection ? ["d:sync-collection"] : [])]
+          .map((report) => `<d:supported-report><d:report><${report}/></d:report></d:supported-report>`)
+          .join("") +
+        "</d:supported-report-set>",
+    };
+  }
+
+  function objectProps(name, object, requested) {
+    return {
+      getetag: `<d:getetag>${escapeXML(object.etag)}</d:getetag>`,
+      getcontenttype: "<d:getcontenttype>text/calendar; charset=utf-8</d:getcontenttype>",
+      "calendar-data": requested?.includes("calendar-data")
+        ? `<c:calendar-data>${escapeXML(object.data)}</c:calendar-data>`
+        : undefined,
+      resourcetype: "<d:resourcetype/>",
+    };
+  }
+
+  function propfind(req, path, body) {
+    const requested = requestedProps(body);
+    const depth = req.headers.depth ?? "1";
+
+    if (path === root) {
+      return multistatus([
+        propResponse(path, {
+          "current-user-principal": `<d:current-user-principal><d:href>${principal}</d:href></d:current-user-principal>`,
+          resourcetype: "<d:resourcetype><d:collection/></d:resourcetype>",
+        }, requested),
+      ]);
+    }
+    if (path === principal) {
+      return multistatus([
+        propResponse(path, {
+          "calendar-home-set": `<c:calendar-home-set><d:href>${home}</d:href></c:calendar-home-set>`,
+          "current-user-principal": `<d:current-user-principal><d:href>${principal}</d:href></d:current-user-principal>`,
+          "schedule-outbox-URL": `<c:schedule-outbox-URL><d:href>${outbox}</d:href></c:schedule-outbox-URL>`,
+          "calendar-user-address-set":
+            auth.username?.includes("@")
+              ? `<c:calendar-user-address-set><d:href>mailto:${auth.username}</d:href></c:calendar-user-address-set>`
+              : undefined,
+          resourcetype: "<d:resourcetype><d:principal/></d:resourcetype>",
+        }, requested),
+      ]);
+    }
+    if (path === home) {
+      const responses = [
+        propResponse(path, { resourcetype: "<d:resourcetype><d:collection/></d:resourcetype>" }, requested),
+      ];
+      if (depth !== "0") {
+        for (const [href, collection] of collections) {
+          responses.push(propResponse(href, collectionProps(href, collection), requested));
+        }
+      }
+      return multistatus(responses);
+    }
+    const collection = collections.get(path);
+    if (collection) {
+      const responses = [propResponse(path, collectionProps(path, collection), requested)];
+      if (depth !== "0") {
+        for (const [name, object] of collection.objects) {
+          responses.push(propResponse(path + name, objectProps(name, object, requested), requested));
+        }
+      }
+      return multistatus(responses);
+    }
+    const { collection: parent, name } = locate(path);
+    const object = parent?.objects.get(name);
+    if (object) {
+      return multistatus([propResponse(path, objectProps(name, object, requested), requested)]);
+    }
+    return null;
+  }
+
+  /**
+   * Objects matching a calendar-query's component filter, time range and
+   * text-matches. Only one-off events with UTC times are checked against the
+   * time range; everything else is assumed to overlap it.
+   */
+  function queryObjects(collection, body) {
+    const components = [...body.matchAll(/comp-filter name="(\w+)"/g)]
+      .map((m) => m[1])
+      .filter((name) => name !== "VCALENDAR");
+    const [, start, end] = body.match(/time-range start="(\w+)" end="(\w+)"/) || [];
+    const textMatches = [
+      ...body.matchAll(/prop-filter name="([\w-]+)"[^>]*>\s*<(?:[\w-]+:)?text-match[^>]*>([^<]*)</g),
+    ].map((m) => ({ property: m[1], text: m[2].toLowerCase() }));
+
+    return [...collection.objects].filter(([, { data }]) => {
+      if (components.length > 0 && !components.some((name) => data.includes(`BEGIN:${name}`))) {
+        return false;
+      }
+      const dtstart = data.match(/^DTSTART:(\d{8}T\d{6}Z)/m)?.[1];
+      const dtend = data.match(/^DTEND:(\d{8}T\d{6}Z)/m)?.[1] ?? dtstart;
+      if (start && dtstart && !/^(RRULE|RDATE)/m.test(data) && (dtstart >= end || dtend <= start)) {
+        return false;
+      }
+      return textMatches.every(({ property, text }) =>
+        data
+          .split(/\r?\n/)
+          .some((line) => line.startsWith(property) && line.toLowerCase().includes(text))
+      );
+    });
+  }
+
+  function report(path, body) {
+    const collection = collections.get(path);
+    if (!collection) return { status: 404 };
+    const requested = requestedProps(body);
+
+    if (body.includes("calendar-multiget")) {
+      const responses = elementTexts(body, "href").map((href) => {
+        const { name } = locate(new URL(href, "http://mock").pathname);
+        const object = collection.objects.get(name);
+        return object
+          ? propResponse(path + name, objectProps(name, object, requested), requested)
+          : `<d:response><d:href>${escapeXML(href)}</d:href><d:status>HTTP/1.1 404 Not Found</d:status></d:response>`;
+      });
+      return { status: 207, body: multistatus(responses) };
+    }
+
+    if (body.includes("sync-collection")) {
+      if (!syncCollection) return { status: 501 };
+      const [token] = elementTexts(body, "sync-token");
+      const since = Number(token?.match(/^http:\/\/mock\/sync\/(\d+)$/)?.[1] ?? -1);
+      if (token && (since < collection.syncFloor || since > collection.ctag)) {
+        return {
+          status: 403,
+          body: `<?xml version="1.0"?><d:error xmlns:d="DAV:"><d:valid-sync-token/></d:error>`,
+        };
+      }
+      const latest = new Map();
+      for (const change of collection.changes.filter((c) => !token || c.token > since)) {
+        latest.set(change.name, change);
+      }
+      const responses = [...latest.values()].map(({ name, deleted }) => {
+        const object = collection.objects.get(name);
+        return deleted || !object
+          ? `<d:response><d:href>${path}${escapeXML(name)}</d:href><d:status>HTTP/1.1 404 Not Found</d:status></d:response>`
+          : propResponse(path + name, objectProps(name, object, requested), requested);
+      });
+      return {
+        status: 207,
+        body: multistatus(responses, `<d:sync-token>http://mock/sync/${collection.ctag}</d:sync-token>`),
+      };
+    }
+
+    if (body.includes("calendar-query")) {
+      const responses = queryObjects(collection, body).map(([name, object]) =>
+        propResponse(path + name, objectProps(name, object, requested), requested)
+      );
+      return { status: 207, body: multistatus(responses) };
+    }
+    return { status: 400 };
+  }
+
+  /** A VFREEBUSY of the busy events (UTC times only) overlapping a free-busy-query's range. */
+  function freeBusyReport(path, body) {
+    const collection = collections.get(path);
+    if (!collection) return { status: 404 };
+    const [, start, end] = body.match(/time-range start="(\w+)" end="(\w+)"/) || [];
+    const periods = [];
+    for (const { data } of collection.objects.values()) {
+      if (/TRANSP:TRANSPARENT|STATUS:CANCELLED/.test(data)) continue;
+      const dtstart = data.match(/^DTSTART:(\d{8}T\d{6}Z)/m)?.[1];
+      const dtend = data.match(/^DTEND:(\d{8}T\d{6}Z)/m)?.[1];
+      if (dtstart && dtend && dtstart < end && dtend > start) periods.push(`${dtstart}/${dtend}`);
+    }
+    return {
+      status: 200,
+      headers: { "Content-Type": "text/calendar; charset=utf-8" },
+      body: [
+        "BEGIN:VCALENDAR",
+        "VERSION:2.0",
+        "PRODID:-//Mock CalDAV//EN",
+        "BEGIN:VFREEBUSY",
+        `DTSTART:${start}`,
+        `DTEND:${end}`,
+        ...periods.map((period) => `FREEBUSY:${period}`),
+        "END:VFREEBUSY",
+        "END:VCALENDAR",
+        "",
+      ].join("\r\n"),
+    };
+  }
+
+  /** A CALDAV:schedule-response to a VFREEBUSY request, one response per ATTENDEE. */
+  function scheduleResponse(body) {
+    const responses = [...body.matchAll(/^ATTENDEE[^:]*:mailto:(.+?)\r?$/gm)].map(([, email]) => {
+      const periods = freeBusy[email.toLowerCase()];
+      const calendarData = periods && [
+        "BEGIN:VCALENDAR",
+        "VERSION:2.0",
+        "METHOD:REPLY",
+        "BEGIN:VFREEBUSY",
+        `ATTENDEE:mailto:${email}`,
+        ...periods.map((period) => `FREEBUSY;FBTYPE=BUSY:${period}`),
+        "END:VFREEBUSY",
+        "END:VCALENDAR",
+        "",
+      ].join("\r\n");
+      return (
+        `<c:response><c:recipient><d:href>mailto:${escapeXML(email)}</d:href></c:recipient>` +
+        `<c:request-status>${periods ? "2.0;Success" : "3.7;Invalid calendar user"}</c:request-status>` +
+        (calendarData ? `<c:calendar-data>${escapeXML(calendarData)}</c:calendar-data>` : "") +
+        "</c:response>"
+      );
+    });
+    return `<?xml version="1.0" encoding="utf-8"?>\n<c:schedule-response ${NAMESPACES}>${responses.join("")}</c:schedule-response>`;
+  }
+
+  /** Check If-Match / If-None-Match against an object (or its absence). */
+  function preconditionFails(req, object) {
+    const ifMatch = req.headers["if-match"];
+    const ifNoneMatch = req.headers["if-none-match"];
+    if (ifMatch && (!object || (ifMatch !== "*" && ifMatch !== object.etag))) return true;
+    if (ifNoneMatch === "*" && object) return true;
+    return false;
+  }
+
+  function handle(req, body) {
+    const path = decodeURI(new URL(req.url, "http://mock").pathname);
+
+    if (path === "/.well-known/caldav") {
+      return wellKnown ? { status: 301, headers: { Location: root } } : { status: 404 };
+    }
+    if (!authorized(req)) {
+      return {
+        status: 401,
+        headers: {
+          "WWW-Authenticate": auth.method === "bearer" ? "Bearer" : 'Basic realm="mock"',
+        },
+      };
+    }
+
+    const rejected =
+      ["PUT", "DELETE", "MOVE"].includes(req.method) && rejectWrites({ method: req.method, path, body });
+    if (rejected) return { status: rejected === true ? 507 : rejected };
+
+    const xml = (status, text) => ({
+      status,
+      headers: { "Content-Type": "application/xml; charset=utf-8" },
+      body: text,
+    });
+
+    switch (req.method) {
+      case "PROPFIND": {
+        const text = propfind(req, path, body);
+        return text ? xml(207, text) : { status: 404 };
+      }
+      case "REPORT": {
+        if (body.includes("free-busy-query")) return freeBusyReport(path, body);
+        const result = report(path, body);
+        return result.body ? xml(result.status, result.body) : { status: result.status };
+      }
+      case "MKCALENDAR": {
+        if (collections.has(path) || !path.startsWith(home)) return { status: 405 };
+        const components = [...body.matchAll(/comp name="(\w+)"/g)].map((m) => m[1]);
+        addCalendar({
+          id: path.substring(home.length, path.length - 1),
+          displayName: elementTexts(body, "displayname")[0],
+          color: elementTexts(body, "calendar-color")[0],
+          description: elementTexts(body, "calendar-description")[0],
+          ...(components.length > 0 && { components }),
+        });
+        return { status: 201 };
+      }
+      case "PROPPATCH": {
+        const collection = collections.get(path);
+        if (!collection) return { status: 404 };
+        const names = [];
+        for (const [element, key] of [
+          ["displayname", "displayName"],
+          ["calendar-color", "color"],
+          ["calendar-description", "description"],
+        ]) {
+          const [value] = elementTexts(body, element);
+          if (value !== undefined) {
+            collection[key] = value;
+            names.push(element);
+          }
+        }
+        collection.ctag = ++changeCounter;
+        return xml(
+          207,
+          multistatus([
+            `<d:response><d:href>${path}</d:href><d:propstat><d:prop>${names
+              .map((name) => `<d:${name}/>`)
+              .join("")}</d:prop><d:status>HTTP/1.1 200 OK</d:status></d:propstat></d:response>`,
+          ])
+        );
+      }
+      case "GET": {
+        const { collection, name } = locate(path);
+        const object = collection?.objects.get(name);
+        if (!object) return { status: 404 };
+        return {
+          status: 200,
+          headers: {
+            "Content-Type": "text/calendar; charset=utf-8",
+            ...(etagHeaders && { ETag: object.etag }),
+          },
+          body: object.data,
+        };
+      }
+      case "PUT": {
+        const { collection, name } = locate(path);
+        if (!collection) return { status: 409 };
+        const existing = collection.objects.get(name);
+        if (preconditionFails(req, existing)) return { status: 412 };
+        const data = reserialize ? body.replace(/^PRODID:.*$/m, "PRODID:-//Mock CalDAV//EN") : body;
+        const etag = storeObject(collection, name, data);
+        return {
+          status: existing ? 204 : 201,
+          headers: etagHeaders && !reserialize ? { ETag: etag } : {},
+        };
+      }
+      case "DELETE": {
+        if (collections.has(path)) {
+          collections.delete(path);
+          return { status: 204 };
+        }
+        const { collection, name } = locate(path);
+        const existing = collection?.objects.get(name);
+        if (!existing) return { status: 404 };
+        if (preconditionFails(req, existing)) return { status: 412 };
+        collection.objects.delete(name);
+        touch(collection, name, true);
+        return { status: 204 };
+      }
+      case "POST": {
+        if (path !== outbox) return { status: 405 };
+        return xml(200, scheduleResponse(body));
+      }
+      case "MOVE": {
+        const { collection, name } = locate(path);
+        const existing = collection?.objects.get(name);
+        if (!existing) return { status: 404 };
+        if (preconditionFails(req, existing)) return { status: 412 };
+        const destination = decodeURI(new URL(req.headers.destination).pathname);
+        const target = locate(destination);
+        if (!target.collection) return { status: 409 };
+        if (target.collection.objects.has(target.name) && req.headers.overwrite === "F") {
+          return { status: 412 };
+        }
+        collection.objects.delete(name);
+        touch(collection, name, true);
+        const etag = storeObject(target.collection, target.name, existing.data);
+        return { status: 201, headers: etagHeaders && !reserialize ? { ETag: etag } : {} };
+      }
+      default:
+        return { status: 405 };
+    }
+  }
+
+  const server = createServer((req, res) => {
+    const chunks = [];
+    req.on("data", (chunk) => chunks.push(chunk));
+    req.on("end", () => {
+      const body = Buffer.concat(chunks).toString("utf8");
+      requests.push({ method: req.method, path: req.url, headers: req.headers, body });
+      const { status, headers = {}, body: text } = handle(req, body);
+      res.writeHead(status, headers);
+      res.end(text);
+    });
+  });
+  await new Promise((resolve) => server.listen(0, "127.0.0.1", resolve));
+  const url = `http://127.0.0.1:${server.address().port}`;
+
+  return {
+    url: `${url}/`,
+    rootUrl: `${url}${root}`,
+    principalUrl: `${url}${principal}`,
+    homeUrl: `${url}${home}`,
+    calendarUrl: (id) => `${url}${home}${id}/`,
+    requests,
+    collections,
+    /** Put a calendar object directly, as another client would. */
+    putObject(calendarId, name, data) {
+      return storeObject(collections.get(`${home}${calendarId}/`), name, data);
+    },
+    getObject(calendarId, name) {
+      return collections.get(`${home}${calendarId}/`)?.objects.get(name);
+    },
+    deleteObject(calendarId, name) {
+      const collection = collections.get(`${home}${calendarId}/`);
+      collection.objects.delete(name);
+      touch(collection, name, true);
+    },
+    /** Expire every sync token issued so far for a calendar, as servers do after a while. */
+    expireSyncTokens(calendarId) {
+      collections.get(`${home}${calendarId}/`).syncFloor = changeCounter + 1;
+    },
+    close: () =>
+      new Promise((resolve) => {
+        server.closeAllConnections?.();
+        server.close(resolve);
+      }),
+  };
+}
@@ -0,0 +1,225 @@
+import { after, before, test } from "node:test";
+import assert from "node:assert/strict";
+import { startMockCalDAV } from "./mock-caldav-server.js";
+import { mockAccountEnv, startServer } from "./helpers.js";
+
+/** A VCALENDAR holding the given VEVENTs, each a list of property lines. */
+function seriesICS(...vevents) {
+  return [
+    "BEGIN:VCALENDAR",
+    "VERSION:2.0",
+    "PRODID:-//Other Client//EN",
+    ...vevents.flatMap((lines) => ["BEGIN:VEVENT", "DTSTAMP:20300101T000000Z", ...lines, "END:VEVENT"]),
+    "END:VCALENDAR",
+    "",
+  ].join("\r\n");
+}
+
+const untagged = (title) => title.split(": ").pop();
+
+let mock;
+let server;
+
+before(async () => {
+  mock = await startMockCalDAV();
+  mock.putObject(
+    "personal",
+    "review.ics",
+    seriesICS(
+      [
+        "UID:review",
+        "SUMMARY:Review",
+        "DTSTART;TZID=America/New_York:20300506T090000",
+        "DTEND;TZID=America/New_York:20300506T100000",
+        "RRULE:FREQ=WEEKLY;BYDAY=MO;COUNT=4",
+        "EXDATE;TZID=America/New_York:20300513T090000",
+        "RDATE;TZID=America/New_York:20300516T090000",
+      ],
+      [
+        "UID:review",
+        "SUMMARY:Review (moved)",
+        "RECURRENCE-ID;TZID=America/New_York:20300520T090000",
+        "DTSTART;TZID=America/New_York:20300521T150000",
+        "DTEND;TZID=America/New_York:20300521T160000",
+      ]
+    )
+  );
+  mock.putObject(
+    "personal",
+    "retro.ics",
+    seriesICS([
+      "UID:retro",
+      "SUMMARY:Retro",
+      "DTSTART;TZID=America/New_York:20300125T160000",
+      "DTEND;TZID=America/New_York:20300125T170000",
+      "RRULE:FREQ=MONTHLY;BYDAY=-1FR;COUNT=3",
+    ])
+  );
+  server = await startServer(mockAccountEnv(mock));
+});
+
+after(async () => {
+  await server.close();
+  await mock.close();
+});
+
+test("expands rules, extra dates, exclusions and moved occurrences", async () => {
+  const { data, text } = await server.call("get_events", {
+    after: "2030-05-01T00:00:00Z",
+    before: "2030-06-01T00:00:00Z",
+  });
+  assert.ok(data, text);
+  assert.deepEqual(
+    data.map((e) => [untagged(e.title), e.start, e.recurrenceId]),
+    [
+      ["Review", "2030-05-06T09:00:00 (America/New_York)", "2030-05-06T13:00:00.000Z"],
+      ["Review", "2030-05-16T09:00:00 (America/New_York)", "2030-05-16T13:00:00.000Z"],
+      ["Review (moved)", "2030-05-21T15:00:00 (America/New_York)", "2030-05-20T13:00:00.000Z"],
+      ["Review", "2030-05-27T09:00:00 (America/New_York)", "2030-05-27T13:00:00.000Z"],
+    ]
+  );
+});
+
+test("keeps ordinal weekdays and wall-clock times across DST changes", async () => {
+  const { data, text } = await server.call("get_events", {
+    after: "2030-01-01T00:00:00Z",
+    before: "2030-12-31T00:00:00Z",
+  });
+  assert.ok(data, text);
+  // The last Friday of January, February and March; DST starts on March 10
+  assert.deepEqual(
+    data.filter((e) => untagged(e.title) === "Retro").map((e) => e.start),
+    [
+      "2030-01-25T16:00:00 (America/New_York)",
+      "2030-02-22T16:00:00 (America/New_York)",
+      "2030-03-29T16:00:00 (America/New_York)",
+    ]
+  );
+});
+
+test("finds free slots around every occurrence", async () => {
+  const { data, text } = await server.call("find_free_slots", {
+    after: "2030-05-21T12:00:00Z",
+    before: "2030-05-21T22:00:00Z",
+    minDuration: "PT1H",
+  });
+  assert.ok(data, text);
+  assert.deepEqual(
+    data.map((slot) => [slot.start, slot.end]),
+    [
+      ["2030-05-21T12:00:00.000Z", "2030-05-21T19:00:00.000Z"],
+      ["2030-05-21T20:00:00.000Z", "2030-05-21T22:00:00.000Z"],
+    ]
+  );
+});
+
+test("edits one occurrence, this and following, and the whole series", async () => {
+  const range = { after: "2031-03-01T00:00:00Z", before: "2031-04-01T00:00:00Z" };
+  const standups = async () => {
+    const { data, text } = await server.call("get_events", range);
+    assert.ok(data, text);
+    return data.filter((e) => e.recurrenceId);
+  };
+  const stored = (url) => mock.getObject("personal", url.substring(url.lastIndexOf("/") + 1)).data;
+
+  const created = await server.call("create_event", {
+    title: "Standup",
+    start: "2031-03-03T09:00:00",
+    end: "2031-03-03T09:15:00",
+    recurrence: { frequency: "weekly", byDay: ["MO", "WE"], count: 6 },
+    calendarUrl: mock.calendarUrl("personal"),
+  });
+  assert.equal(created.isError, false, created.text);
+  const { url } = created.data;
+  assert.match(stored(url), /^DTSTART;TZID=America\/New_York:20310303T090000\r$/m);
+  assert.match(stored(url), /^RRULE:FREQ=WEEKLY;BYDAY=MO,WE;COUNT=6\r$/m);
+  // Monday and Wednesday, still at 9:00 after DST starts on March 9
+  const occurrences = await standups();
+  assert.deepEqual(
+    occurrences.map((e) => e.start.substring(0, 16)),
+    ["2031-03-03T09:00", "2031-03-05T09:00", "2031-03-10T09:00", "2031-03-12T09:00", "2031-03-17T09:00", "2031-03-19T09:00"]
+  );
+
+  const missingId = await server.call("update_event", { eventUrl: url, title: "Nope", scope: "occurrence" });
+  assert.equal(missingId.isError, true);
+  assert.match(missingId.text, /recurrenceId is required/);
+
+  const single = await server.call("update_event", {
+    eventUrl: url,
+    title: "Standup (short)",
+    scope: "occurrence",
+    recurrenceId: occurrences[1].recurrenceId,
+  });
+  assert.equal(single.isError, false, single.text);
+  assert.match(stored(url), /^RECURRENCE-ID;TZID=America\/New_York:20310305T090000\r$/m);
+
+  const following = await server.call("update_event", {
+    eventUrl: url,
+    start: "2031-03-12T10:00:00",
+    end: "2031-03-12T10:15:00",
+    scope: "following",
+    recurrenceId: occurrences[3].recurrenceId,
+  });
+  assert.equal(following.isError, false, following.text);
+  const { newSeriesUrl } = following.data;
+  assert.ok(newSeriesUrl);
+  // The original stops just before the split and the rest of its COUNT moves on
+  assert.match(stored(url), /^RRULE:FREQ=WEEKLY;BYDAY=MO,WE;UNTIL=20310312T125959Z\r$/m);
+  assert.match(stored(newSeriesUrl), /^RRULE:FREQ=WEEKLY;BYDAY=MO,WE;COUNT=3\r$/m);
+  assert.match(stored(newSeriesUrl), /^DTSTART;TZID=America\/New_York:20310312T100000\r$/m);
+
+  const removed = await server.call("delete_event", {
+    eventUrl: newSeriesUrl,
+    scope: "occurrence",
+    recurrenceId: "2031-03-17T14:00:00.000Z",
+  });
+  assert.equal(removed.isError, false, removed.text);
+
+  const renamed = await server.call("update_event", { eventUrl: url, title: "Sync" });
+  assert.equal(renamed.isError, false, renamed.text);
+
+  assert.deepEqual(
+    (await standups()).map((e) => [untagged(e.title), e.start.substring(0, 16)]),
+    [
+      ["Sync", "2031-03-03T09:00"],
+      ["Standup (short)", "2031-03-05T09:00"],
+      ["Sync", "2031-03-10T09:00"],
+      ["Standup", "2031-03-12T10:00"],
+      ["Standup", "2031-03-19T10:00"],
+    ]
+  );
+});
+
+test("reads exclusions without an offset in the event's time zone", async () => {
+  const stored = (url) => mock.getObject("personal", url.substring(url.lastIndexOf("/") + 1)).data;
+  const created = await server.call("create_event", {
+    title: "Lab meeting",
+    start: "2031-04-01T09:00:00",
+    end: "2031-04-01T10:00:00",
+    timeZone: "Europe/Berlin",
+    recurrence: { frequency: "daily", count: 4, exclude: ["2031-04-02T09:00:00"] },
+    calendarUrl: mock.calendarUrl("personal"),
+  });
+  assert.equal(created.isError, false, created.text);
+  const { url } = created.data;
+  assert.match(stored(url), /^EXDATE;TZID=Europe\/Berlin:20310402T090000\r$/m);
+
+  const updated = await server.call("update_event", {
+    eventUrl: url,
+    recurrence: { frequency: "daily", count: 4, exclude: ["2031-04-03T09:00", "2031-04-04T07:00:00Z"] },
+  });
+  assert.equal(updated.isError, false, updated.text);
+  assert.deepEqual(stored(url).match(/^EXDATE[^\r]*/gm), [
+    "EXDATE;TZID=Europe/Berlin:20310403T090000",
+    "EXDATE;TZID=Europe/Berlin:20310404T090000",
+  ]);
+  const { data, text } = await server.call("get_events", {
+    after: "2031-04-01T00:00:00Z",
+    before: "2031-04-06T00:00:00Z",
+  });
+  assert.ok(data, text);
+  assert.deepEqual(
+    data.filter((e) => untagged(e.title) === "Lab meeting").map((e) => e.recurrenceId),
+    ["2031-04-01T07:00:00.000Z", "2031-04-02T07:00:00.000Z"]
+  );
+});
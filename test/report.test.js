@@ -0,0 +1,87 @@
+import { after, before, test } from "node:test";
+import assert from "node:assert/strict";
+import { startMockCalDAV } from "./mock-caldav-server.js";
+import { eventICS, mockAccountEnv, startServer } from "./helpers.js";
+
+let mock;
+let server;
+
+before(async () => {
+  mock = await startMockCalDAV();
+  server = await startServer(mockAccountEnv(mock));
+});
+
+after(async () => {
+  await server.close();
+  await mock.close();
+});
+
+test("reports scheduled hours per project and week against budgets", async () => {
+  const block = (name, summary, start, end, extra) =>
+    mock.putObject("personal", `${name}.ics`, eventICS({ uid: name, summary, start, end, extra }));
+  block("script", "PhD Experiment — Tutorial script", "20310304T140000Z", "20310304T160000Z");
+  block("analysis", "PhD Experiment — Analysis", "20310305T140000Z", "20310305T150000Z", [
+    "RRULE:FREQ=WEEKLY;COUNT=2",
+  ]);
+  block("chapter", "Book — Chapter 3", "20310311T140000Z", "20310311T170000Z", ["CATEGORIES:Writing"]);
+  block("dentist", "Dentist", "20310312T150000Z", "20310312T160000Z");
+  block("dropped", "Book — Outline", "20310313T140000Z", "20310313T150000Z", ["STATUS:CANCELLED"]);
+  // Sunday 22:00 to Monday 1:00 (EDT): two hours in the first week, one in the second
+  block("edits", "Book — Edits", "20310310T020000Z", "20310310T050000Z");
+  // An offer's hold isn't planned work
+  block("hold", "Hold: Book — Call", "20310312T180000Z", "20310312T190000Z", [
+    "STATUS:TENTATIVE",
+    "X-FASTMAIL-CALENDAR-HOLD:TRUE",
+  ]);
+
+  const { isError, data, text, resources } = await server.call("time_report", {
+    after: "2031-03-03T05:00:00Z",
+    before: "2031-03-17T04:00:00Z",
+    budgets: [
+      { project: "PhD Experiment", hours: 5 },
+      { project: "book", weeklyHours: 2 },
+      { project: "Grant", hours: 3 },
+    ],
+  });
+  assert.equal(isError, false, text);
+  assert.deepEqual(data.weeks, ["2031-03-03", "2031-03-10"]);
+  assert.equal(data.totalHours, 11);
+  const byProject = Object.fromEntries(data.projects.map((p) => [p.project, p]));
+  assert.deepEqual(byProject["PhD Experiment"].weeks.map((w) => w.hours), [3, 1]);
+  assert.equal(byProject["PhD Experiment"].varianceHours, -1);
+  assert.deepEqual(
+    byProject.book.weeks.map((w) => [w.hours, w.varianceHours]),
+    [[2, 0], [4, 2]]
+  );
+  assert.equal(byProject.book.budgetHours, 4);
+  assert.equal(byProject.Grant.scheduledHours, 0);
+  assert.equal(byProject["(no project)"].scheduledHours, 1);
+  assert.match(text, /\| PhD Experiment \| 3 \| 1 \| 4 \| 0 \| 5 \| -1 \|/);
+
+  const [csv] = resources;
+  assert.equal(csv.mimeType, "text/csv");
+  assert.match(csv.text, /^Project,Week of 2031-03-03,Week of 2031-03-10,Total,Done,Budget,Variance\r\n/);
+
+  const byCategory = await server.call("time_report", {
+    after: "2031-03-03T05:00:00Z",
+    before: "2031-03-17T04:00:00Z",
+    groupBy: "category",
+  });
+  assert.deepEqual(
+    byCategory.data.projects.map((p) => [p.project, p.scheduledHours]),
+    [["(no category)", 8], ["Writing", 3]]
+  );
+});
+
+test("rejects an invalid or empty time report range", async () => {
+  const invalid = await server.call("time_report", { after: "next week", before: "2031-03-17T04:00:00Z" });
+  assert.equal(invalid.isError, true);
+  assert.match(invalid.text, /Invalid date range/);
+
+  const reversed = await server.call("time_report", {
+    after: "2031-03-17T04:00:00Z",
+    before: "2031-03-03T05:00:00Z",
+  });
+  assert.equal(reversed.isError, true);
+  assert.match(reversed.text, /before must be later than after/);
+});
@@ -0,0 +1,133 @@
+import { after, before, test } from "node:test";
+import assert from "node:assert/strict";
+import { startMockCalDAV } from "./mock-caldav-server.js";
+import { eventICS, mockAccountEnv, startServer } from "./helpers.js";
+
+const unfolded = (object) => object.data.replace(/\r\n[ \t]/g, "");
+
+/** The stored ATTENDEE line for an address, unfolded. */
+function attendeeLine(object, email) {
+  return unfolded(object)
+    .split("\r\n")
+    .find((line) => line.startsWith("ATTENDEE") && line.endsWith(`:mailto:${email}`));
+}
+
+const objectName = (url) => url.substring(url.lastIndexOf("/") + 1);
+
+let mock;
+let server;
+
+before(async () => {
+  mock = await startMockCalDAV();
+  mock.putObject(
+    "personal",
+    "offsite.ics",
+    eventICS({
+      uid: "offsite",
+      summary: "Offsite",
+      start: "20300910T140000Z",
+      end: "20300910T150000Z",
+      extra: [
+        "RRULE:FREQ=WEEKLY;COUNT=3",
+        "SEQUENCE:1",
+        "ORGANIZER;CN=Carol:mailto:carol@example.com",
+        "ATTENDEE;PARTSTAT=ACCEPTED:mailto:carol@example.com",
+        "ATTENDEE;PARTSTAT=NEEDS-ACTION;RSVP=TRUE:mailto:alice@example.com",
+        "ATTENDEE;PARTSTAT=ACCEPTED:mailto:bob@example.com",
+      ],
+    })
+  );
+  server = await startServer(mockAccountEnv(mock));
+});
+
+after(async () => {
+  await server.close();
+  await mock.close();
+});
+
+test("invites attendees and keeps their replies when the list changes", async () => {
+  const created = await server.call("create_event", {
+    title: "Kickoff",
+    start: "2030-09-02T09:00:00",
+    end: "2030-09-02T10:00:00",
+    calendarUrl: mock.calendarUrl("personal"),
+    attendees: [
+      { email: "bob@example.com", name: "Bob" },
+      { email: "dave@example.com", role: "optional" },
+    ],
+  });
+  assert.equal(created.isError, false, created.text);
+  assert.deepEqual(created.data.invited, ["bob@example.com", "dave@example.com"]);
+  const name = objectName(created.data.url);
+  let object = mock.getObject("personal", name);
+  assert.match(object.data, /^ORGANIZER:mailto:alice@example\.com\r$/m);
+  const bob = attendeeLine(object, "bob@example.com");
+  for (const param of ["CN=Bob", "ROLE=REQ-PARTICIPANT", "PARTSTAT=NEEDS-ACTION", "RSVP=TRUE", "SCHEDULE-AGENT=SERVER"]) {
+    assert.ok(bob.includes(`;${param}`), param);
+  }
+  assert.ok(attendeeLine(object, "dave@example.com").includes(";ROLE=OPT-PARTICIPANT"));
+
+  // Bob accepts through his own client
+  const accepted = bob.replace("PARTSTAT=NEEDS-ACTION", "PARTSTAT=ACCEPTED");
+  mock.putObject("personal", name, unfolded(object).replace(bob, accepted));
+  const updated = await server.call("update_event", {
+    eventUrl: created.data.url,
+    attendees: [{ email: "bob@example.com" }, { email: "erin@example.com" }],
+  });
+  assert.equal(updated.isError, false, updated.text);
+  object = mock.getObject("personal", name);
+  assert.ok(attendeeLine(object, "bob@example.com").includes(";PARTSTAT=ACCEPTED"));
+  assert.ok(attendeeLine(object, "erin@example.com").includes(";PARTSTAT=NEEDS-ACTION"));
+  assert.equal(attendeeLine(object, "dave@example.com"), undefined);
+
+  const { data, text } = await server.call("get_events", {
+    after: "2030-09-02T00:00:00Z",
+    before: "2030-09-03T00:00:00Z",
+  });
+  assert.ok(data, text);
+  assert.equal(data[0].organizer.email, "alice@example.com");
+  assert.deepEqual(
+    data[0].attendees.map((a) => [a.email, a.partstat]),
+    [
+      ["bob@example.com", "ACCEPTED"],
+      ["erin@example.com", "NEEDS-ACTION"],
+    ]
+  );
+  assert.equal(data[0].myResponse, undefined);
+
+  const own = await server.call("respond_to_invite", { eventUrl: created.data.url, response: "accept" });
+  assert.equal(own.isError, true);
+  assert.match(own.text, /You organize this event/);
+});
+
+test("answers an invitation for the series or for one occurrence", async () => {
+  const eventUrl = `${mock.calendarUrl("personal")}offsite.ics`;
+  const range = { after: "2030-09-09T00:00:00Z", before: "2030-09-30T00:00:00Z" };
+  const responses = async () => {
+    const { data, text } = await server.call("get_events", range);
+    assert.ok(data, text);
+    return data.filter((e) => e.title.endsWith("Offsite")).map((e) => e.myResponse);
+  };
+  assert.deepEqual(await responses(), ["NEEDS-ACTION", "NEEDS-ACTION", "NEEDS-ACTION"]);
+
+  const notOurs = await server.call("update_event", { eventUrl, attendees: [{ email: "bob@example.com" }] });
+  assert.equal(notOurs.isError, true);
+  assert.match(notOurs.text, /Only the organizer can change the attendees/);
+
+  const accepted = await server.call("respond_to_invite", { eventUrl, response: "accept" });
+  assert.equal(accepted.isError, false, accepted.text);
+  assert.equal(accepted.data.organizer, "carol@example.com");
+  const declined = await server.call("respond_to_invite", {
+    eventUrl,
+    response: "decline",
+    recurrenceId: "2030-09-17T14:00:00.000Z",
+  });
+  assert.equal(declined.isError, false, declined.text);
+  assert.deepEqual(await responses(), ["ACCEPTED", "DECLINED", "ACCEPTED"]);
+
+  // Only our own entry changes, and replies don't bump SEQUENCE
+  const object = mock.getObject("personal", "offsite.ics");
+  assert.equal(attendeeLine(object, "bob@example.com"), "ATTENDEE;PARTSTAT=ACCEPTED:mailto:bob@example.com");
+  assert.equal(object.data.match(/^SEQUENCE:1\r$/gm).length, 2);
+  assert.doesNotMatch(object.data, /^SEQUENCE:2/m);
+});
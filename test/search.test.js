@@ -0,0 +1,103 @@
+import { after, before, test } from "node:test";
+import assert from "node:assert/strict";
+import { startMockCalDAV } from "./mock-caldav-server.js";
+import { eventICS, mockAccountEnv, startServer } from "./helpers.js";
+
+const titles = (events) => events.map((e) => e.title.split(": ").pop());
+
+let mock;
+let server;
+
+before(async () => {
+  mock = await startMockCalDAV({
+    calendars: [
+      { id: "personal", displayName: "Personal" },
+      { id: "work", displayName: "Work" },
+    ],
+  });
+  const put = (calendarId, uid, summary, start, extra = []) =>
+    mock.putObject(
+      calendarId,
+      `${uid}.ics`,
+      eventICS({ uid, summary, start: `${start}T140000Z`, end: `${start}T150000Z`, extra })
+    );
+  put("personal", "checkup", "Checkup", "20300402", ["LOCATION:Smile Dental"]);
+  put("personal", "dentist", "Dentist", "20301002");
+  put("personal", "groceries", "Groceries", "20300305");
+  put("work", "chapter-2", "Chapter 2", "20300305", ["CATEGORIES:PhD,Writing"]);
+  put("work", "lab", "Lab meeting", "20300320", [
+    "CATEGORIES:PhD",
+    "RRULE:FREQ=WEEKLY;COUNT=2",
+    "ORGANIZER;CN=Carol Jones:mailto:carol@example.com",
+    "ATTENDEE;PARTSTAT=ACCEPTED:mailto:alice@example.com",
+  ]);
+  put("work", "chapter-3", "Chapter 3", "20300410", ["CATEGORIES:PhD"]);
+  server = await startServer(mockAccountEnv(mock));
+});
+
+after(async () => {
+  await server.close();
+  await mock.close();
+});
+
+test("lets the server match text and downloads only the matches", async () => {
+  const { data, text } = await server.call("search_events", {
+    query: "dental",
+    after: "2030-01-01T00:00:00Z",
+  });
+  assert.ok(data, text);
+  assert.deepEqual(titles(data.events), ["Checkup"]);
+  assert.equal(data.events[0].calendar, "Personal");
+
+  const reports = mock.requests.filter((r) => r.method === "REPORT");
+  assert.ok(reports.some((r) => /text-match[^>]*>dental</.test(r.body)));
+  const downloads = reports.filter((r) => r.body.includes("calendar-multiget")).map((r) => r.body).join("");
+  assert.doesNotMatch(downloads, /groceries\.ics|chapter-2\.ics/);
+});
+
+test("combines criteria with date bounds, sorting and a limit", async () => {
+  const march = { after: "2030-03-01T00:00:00Z", before: "2030-04-01T00:00:00Z" };
+  const tagged = await server.call("search_events", { category: "phd", ...march });
+  assert.ok(tagged.data, tagged.text);
+  assert.deepEqual(titles(tagged.data.events), ["Chapter 2", "Lab meeting", "Lab meeting"]);
+  assert.ok(tagged.data.events.every((e) => e.calendar === "Work"));
+
+  const withCarol = await server.call("search_events", { attendee: "carol jones", ...march });
+  assert.deepEqual(
+    withCarol.data.events.map((e) => e.start.substring(0, 10)),
+    ["2030-03-20", "2030-03-27"]
+  );
+
+  const latest = await server.call("search_events", {
+    category: "phd",
+    after: "2030-01-01T00:00:00Z",
+    sort: "desc",
+    limit: 1,
+  });
+  assert.ok(latest.data, latest.text);
+  assert.equal(latest.data.total, 4);
+  assert.deepEqual(titles(latest.data.events), ["Chapter 3"]);
+
+  const elsewhere = await server.call("search_events", { category: "phd", calendar: "personal", ...march });
+  assert.equal(elsewhere.data.total, 0);
+  const missing = await server.call("search_events", { query: "x", calendar: "Nope" });
+  assert.equal(missing.isError, true);
+  assert.match(missing.text, /Calendar not found/);
+});
+
+test("searches calendars already in the event store locally", async () => {
+  const loaded = await server.call("get_events", {
+    after: "2030-03-01T00:00:00Z",
+    before: "2030-11-01T00:00:00Z",
+  });
+  assert.ok(loaded.data, loaded.text);
+
+  const seen = mock.requests.length;
+  const { data, text } = await server.call("search_events", {
+    query: "chapter",
+    after: "2030-01-01T00:00:00Z",
+  });
+  assert.ok(data, text);
+  assert.deepEqual(titles(data.events), ["Chapter 2", "Chapter 3"]);
+  assert.ok(!mock.requests.slice(seen).some((r) => r.body.includes("text-match")));
+});
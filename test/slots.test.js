@@ -0,0 +1,169 @@
+import { after, before, test } from "node:test";
+import assert from "node:assert/strict";
+import { startMockCalDAV } from "./mock-caldav-server.js";
+import { eventICS, mockAccountEnv, startServer } from "./helpers.js";
+
+const DAY = { after: "2030-06-03T12:00:00Z", before: "2030-06-03T21:00:00Z" };
+
+const spans = (slots) => slots.map((slot) => [slot.start.substring(11, 16), slot.end.substring(11, 16)]);
+
+let mock;
+let server;
+
+before(async () => {
+  mock = await startMockCalDAV({
+    calendars: [
+      { id: "personal", displayName: "Personal" },
+      { id: "holidays", displayName: "Holidays" },
+    ],
+  });
+  const put = (calendarId, uid, start, end, extra) =>
+    mock.putObject(
+      calendarId,
+      `${uid}.ics`,
+      eventICS({ uid, summary: uid, start: `20300603T${start}00Z`, end: `20300603T${end}00Z`, extra })
+    );
+  put("personal", "meeting", "1300", "1400");
+  put("personal", "focus-music", "1500", "1600", ["TRANSP:TRANSPARENT"]);
+  put("personal", "called-off", "1600", "1700", ["STATUS:CANCELLED"]);
+  put("personal", "declined", "1700", "1800", [
+    "ORGANIZER:mailto:carol@example.com",
+    "ATTENDEE;PARTSTAT=DECLINED:mailto:alice@example.com",
+  ]);
+  put("personal", "maybe", "1800", "1900", ["STATUS:TENTATIVE"]);
+  put("holidays", "parade", "1900", "2000");
+  mock.putObject(
+    "personal",
+    "check-in.ics",
+    eventICS({ uid: "check-in", summary: "Check-in", start: "20300312T140000Z", end: "20300312T143000Z" })
+  );
+  server = await startServer(mockAccountEnv(mock, { FASTMAIL_BUSY_CALENDARS: "Personal" }));
+});
+
+after(async () => {
+  await server.close();
+  await mock.close();
+});
+
+test("skips transparent, cancelled and declined events", async () => {
+  const { data, text } = await server.call("find_free_slots", { ...DAY, minDuration: "PT30M" });
+  assert.ok(data, text);
+  assert.deepEqual(spans(data), [
+    ["12:00", "13:00"],
+    ["14:00", "21:00"],
+  ]);
+
+  const tentative = await server.call("find_free_slots", {
+    ...DAY,
+    minDuration: "PT30M",
+    tentativeEvents: "busy",
+  });
+  assert.ok(tentative.data, tentative.text);
+  assert.deepEqual(spans(tentative.data), [
+    ["12:00", "13:00"],
+    ["14:00", "18:00"],
+    ["19:00", "21:00"],
+  ]);
+});
+
+test("checks only the busy calendars unless one is named", async () => {
+  const { data, text } = await server.call("list_calendars");
+  assert.ok(data, text);
+  assert.deepEqual(
+    data.map((c) => [c.name, c.countsTowardFreeBusy]),
+    [
+      ["Personal", true],
+      ["Holidays", false],
+    ]
+  );
+
+  const holidays = await server.call("find_free_slots", {
+    ...DAY,
+    minDuration: "PT30M",
+    calendarUrl: mock.calendarUrl("holidays"),
+  });
+  assert.ok(holidays.data, holidays.text);
+  assert.deepEqual(spans(holidays.data), [
+    ["12:00", "19:00"],
+    ["20:00", "21:00"],
+  ]);
+});
+
+test("keeps slots inside working hours, around buffers and across DST", async () => {
+  const { data, text } = await server.call("find_free_slots", {
+    after: "2030-03-08T00:00:00Z",
+    before: "2030-03-13T00:00:00Z",
+    minDuration: "PT1H",
+    maxDuration: "PT2H",
+    buffer: "PT15M",
+    workingHours: [
+      { days: ["MO", "TU", "WE", "TH", "FR"], start: "09:00", end: "12:00" },
+      { days: ["MO", "TU", "WE", "TH", "FR"], start: "13:00", end: "17:00" },
+    ],
+    excludeDates: ["2030-03-11"],
+  });
+  assert.ok(data, text);
+  // New York moves to daylight time on Sunday the 10th; the weekend and
+  // the excluded Monday have no slots, and the 10:00 check-in on Tuesday
+  // leaves too little room before it once buffered
+  assert.deepEqual(
+    data.map((slot) => [slot.startLocal.substring(0, 16), slot.endLocal.substring(11, 16)]),
+    [
+      ["2030-03-08T09:00", "11:00"],
+      ["2030-03-08T11:00", "12:00"],
+      ["2030-03-08T13:00", "15:00"],
+      ["2030-03-08T15:00", "17:00"],
+      ["2030-03-12T10:45", "12:00"],
+      ["2030-03-12T13:00", "15:00"],
+      ["2030-03-12T15:00", "17:00"],
+    ]
+  );
+  assert.equal(data[0].start, "2030-03-08T14:00:00.000Z");
+  assert.equal(data[4].start, "2030-03-12T14:45:00.000Z");
+});
+
+test("rejects working hours that end before they start", async () => {
+  const { isError, text } = await server.call("find_free_slots", {
+    ...DAY,
+    minDuration: "PT30M",
+    workingHours: [{ days: ["MO"], start: "17:00", end: "09:00" }],
+  });
+  assert.equal(isError, true);
+  assert.match(text, /must be after start/);
+});
+
+test("plans blocks deadline-first without writing anything", async () => {
+  const requests = mock.requests.length;
+  const { data, text } = await server.call("plan_time_blocks", {
+    projects: [
+      { name: "Thesis", hours: 6, dueDate: "2030-06-10", deepWork: true },
+      { name: "Admin", hours: 2 },
+      { name: "Grant", hours: 40 },
+    ],
+    after: "2030-06-10T00:00:00Z",
+    before: "2030-06-12T00:00:00Z",
+  });
+  assert.ok(data, text);
+  // Deep work takes the morning; once Thesis can no longer fit before its
+  // deadline it goes ahead of the others, and each day stops at 80%
+  assert.deepEqual(
+    data.blocks.map((b) => [b.project, b.startLocal.substring(0, 16), b.endLocal.substring(11, 16)]),
+    [
+      ["Thesis", "2030-06-10T09:00", "12:00"],
+      ["Admin", "2030-06-10T12:15", "14:15"],
+      ["Thesis", "2030-06-10T14:30", "15:45"],
+      ["Grant", "2030-06-11T09:00", "12:00"],
+      ["Grant", "2030-06-11T12:15", "15:15"],
+    ]
+  );
+  assert.deepEqual(
+    data.budget.map((b) => [b.project, b.scheduledHours, b.shortfallHours]),
+    [
+      ["Thesis", 4.25, 1.75],
+      ["Admin", 2, 0],
+      ["Grant", 6, 34],
+    ]
+  );
+  assert.equal(data.freeHours, 16);
+  assert.ok(!mock.requests.slice(requests).some((r) => ["PUT", "DELETE"].includes(r.method)));
+});
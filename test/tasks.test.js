@@ -0,0 +1,117 @@
+import { after, before, test } from "node:test";
+import assert from "node:assert/strict";
+import { startMockCalDAV } from "./mock-caldav-server.js";
+import { mockAccountEnv, startServer } from "./helpers.js";
+
+let mock;
+let server;
+
+before(async () => {
+  mock = await startMockCalDAV();
+  server = await startServer(mockAccountEnv(mock));
+});
+
+after(async () => {
+  await server.close();
+  await mock.close();
+});
+
+test("tracks a task against its time blocks", async () => {
+  const task = await server.call("create_task", {
+    calendarUrl: mock.calendarUrl("personal"),
+    title: "Write chapter",
+    due: "2030-06-30",
+    priority: 1,
+  });
+  assert.equal(task.isError, false, task.text);
+
+  // Two hours, already done
+  const blockStart = Date.now() - 2 * 86400000;
+  const block = await server.call("create_event", {
+    title: "Chapter block",
+    start: new Date(blockStart).toISOString(),
+    end: new Date(blockStart + 2 * 3600000).toISOString(),
+    calendarUrl: mock.calendarUrl("personal"),
+    taskUid: task.data.uid,
+  });
+  assert.equal(block.isError, false, block.text);
+
+  const completed = await server.call("complete_task", { taskUrl: task.data.url });
+  assert.equal(completed.isError, false, completed.text);
+  assert.equal(completed.data.status, "COMPLETED");
+  assert.equal(completed.data.timeBlocks.doneHours, 2);
+
+  const open = await server.call("list_tasks");
+  assert.ok(!(open.data ?? []).some((t) => t.uid === task.data.uid));
+});
+
+test("creates, updates and lists tasks by due date and priority", async () => {
+  const calendarUrl = mock.calendarUrl("personal");
+  mock.putObject(
+    "personal",
+    "reviews.ics",
+    [
+      "BEGIN:VCALENDAR",
+      "VERSION:2.0",
+      "PRODID:-//Other Client//EN",
+      "BEGIN:VTODO",
+      "UID:reviews",
+      "DTSTAMP:20300101T000000Z",
+      "SUMMARY:Peer reviews",
+      "DUE;VALUE=DATE:20310301",
+      "PRIORITY:5",
+      "STATUS:NEEDS-ACTION",
+      "X-OTHER-CLIENT:keep me",
+      "END:VTODO",
+      "END:VCALENDAR",
+      "",
+    ].join("\r\n")
+  );
+  const create = (fields) => server.call("create_task", { calendarUrl, ...fields });
+  const thesis = await create({ title: "Thesis draft", due: "2031-03-01", priority: 1 });
+  assert.equal(thesis.isError, false, thesis.text);
+  const outline = await create({ title: "Outline", due: "2031-02-01T17:00:00", relatedTo: thesis.data.uid });
+  assert.equal(outline.isError, false, outline.text);
+  const name = outline.data.url.substring(outline.data.url.lastIndexOf("/") + 1);
+  const stored = mock.getObject("personal", name).data.replace(/\r\n[ \t]/g, "");
+  assert.match(stored, /^DUE;TZID=America\/New_York:20310201T170000\r$/m);
+  assert.match(stored, new RegExp(`^RELATED-TO;RELTYPE=PARENT:${thesis.data.uid}\r$`, "m"));
+
+  const updated = await server.call("update_task", {
+    taskUrl: `${calendarUrl}reviews.ics`,
+    status: "in-process",
+    percentComplete: 40,
+  });
+  assert.equal(updated.isError, false, updated.text);
+  const { data: reviews } = mock.getObject("personal", "reviews.ics");
+  assert.match(reviews, /^STATUS:IN-PROCESS\r$/m);
+  assert.match(reviews, /^PERCENT-COMPLETE:40\r$/m);
+  assert.match(reviews, /^X-OTHER-CLIENT:keep me\r$/m);
+
+  const listed = await server.call("list_tasks", { dueBy: "2031-03-01" });
+  assert.ok(listed.data, listed.text);
+  assert.deepEqual(
+    listed.data.map((t) => [t.title.split(": ").pop(), t.due, t.priority, t.status]),
+    [
+      ["Outline", "2031-02-01T17:00:00 (America/New_York)", undefined, "NEEDS-ACTION"],
+      ["Thesis draft", "2031-03-01", 1, "NEEDS-ACTION"],
+      ["Peer reviews", "2031-03-01", 5, "IN-PROCESS"],
+    ]
+  );
+  assert.deepEqual(listed.data[0].relatedTo, [thesis.data.uid]);
+  assert.equal(listed.data[2].percentComplete, 40);
+
+  const early = await server.call("list_tasks", { dueBy: "2031-02-15" });
+  assert.deepEqual(early.data.map((t) => t.uid), [outline.data.uid]);
+
+  await server.call("complete_task", { taskUrl: outline.data.url });
+  const withCompleted = await server.call("list_tasks", { dueBy: "2031-02-15", includeCompleted: true });
+  const done = withCompleted.data.find((t) => t.uid === outline.data.uid);
+  assert.deepEqual([done.status, done.percentComplete], ["COMPLETED", 100]);
+  assert.equal((await server.call("list_tasks", { dueBy: "2031-02-15" })).data, null);
+
+  const eventsOnly = await server.call("create_calendar", { name: "Events only", components: ["VEVENT"] });
+  const refused = await server.call("create_task", { calendarUrl: eventsOnly.data.url, title: "Nowhere" });
+  assert.equal(refused.isError, true);
+  assert.match(refused.text, /can't hold tasks/);
+});